@@ -0,0 +1,77 @@
+// Token buckets of llmRateLimit.ts against a local Redis (the Lua script runs there).
+
+// Imports are dynamic so the environment below is in place before env.ts reads it.
+export {};
+
+const RUN = `${process.pid}-${Date.now()}`;
+const RPM_MODEL = `test-rpm-${RUN}`;
+const TPM_MODEL = `test-tpm-${RUN}`;
+
+process.env.REDIS_URL ??= 'redis://127.0.0.1:6379';
+process.env.API_JWT_SECRET ??= 'test-secret-32+chars--------------------';
+process.env.APPLE_AUDIENCE ??= 'me.kyzcwezsabuk.Uta';
+process.env.TARUKINGU ??= 'tarukingu';
+process.env.GEMINI_API_KEY ??= 'test';
+process.env.LLM_RATE_LIMITS = `${RPM_MODEL}=2/0,${TPM_MODEL}=0/1000`;
+
+const { acquireCapacity, drainCapacity, settleCapacity } = await import('../src/llmRateLimit.js');
+const { llmRateBucketKey } = await import('../src/keys.js');
+const { redis, redisPub, redisSub } = await import('../src/redis.js');
+
+// Resolves true when capacity was granted within `ms`, false when the call was still waiting.
+async function acquiredWithin(model: string, tokens: number, ms: number): Promise<boolean> {
+  try {
+    await acquireCapacity('test', model, tokens, AbortSignal.timeout(ms));
+    return true;
+  } catch (err: any) {
+    if (err?.name === 'TimeoutError') return false;
+    throw err;
+  }
+}
+
+async function level(model: string, dimension: 'rpm' | 'tpm'): Promise<number> {
+  return Number(await redis.hget(llmRateBucketKey(model, dimension), 'level'));
+}
+
+async function main() {
+  // Requests per minute: a full bucket grants its capacity, then makes callers wait
+  if (!(await acquiredWithin(RPM_MODEL, 0, 500)) || !(await acquiredWithin(RPM_MODEL, 0, 500))) {
+    throw new Error('Expected the first 2 requests to be granted right away');
+  }
+  if (await acquiredWithin(RPM_MODEL, 0, 300)) throw new Error('Expected the 3rd request within a minute to wait');
+  console.log('✅ rpm bucket test passed');
+
+  // Tokens per minute: a call larger than the bucket still gets through (it could never fit otherwise)
+  if (!(await acquiredWithin(TPM_MODEL, 5000, 500))) throw new Error('Expected an oversized call to be granted on a full bucket');
+  if (await acquiredWithin(TPM_MODEL, 100, 300)) throw new Error('Expected the bucket to be empty after an oversized call');
+  console.log('✅ tpm oversized call test passed');
+
+  // Settling refunds what the estimate over-reserved, but never past capacity
+  await settleCapacity(TPM_MODEL, 1000, 200);
+  if (!(await acquiredWithin(TPM_MODEL, 700, 500))) throw new Error('Expected the refund to make room for 700 tokens');
+  await settleCapacity(TPM_MODEL, 5000, 0);
+  const refunded = await level(TPM_MODEL, 'tpm');
+  if (refunded > 1000) throw new Error(`Expected the bucket to stay within capacity, got level ${refunded}`);
+  console.log('✅ tpm refund test passed');
+
+  // Settling charges what the estimate under-reserved; the bucket may go negative
+  await settleCapacity(TPM_MODEL, 0, 1800);
+  const charged = await level(TPM_MODEL, 'tpm');
+  if (!(charged < 0 && charged >= -1000)) throw new Error(`Expected a negative level of at most one capacity, got ${charged}`);
+  if (await acquiredWithin(TPM_MODEL, 1, 300)) throw new Error('Expected callers to wait while the bucket is negative');
+  console.log('✅ tpm charge test passed');
+
+  // A 429 drains the request bucket, so every worker backs off
+  await redis.del(llmRateBucketKey(RPM_MODEL, 'rpm'));
+  await drainCapacity(RPM_MODEL);
+  if (await acquiredWithin(RPM_MODEL, 0, 300)) throw new Error('Expected requests to wait after a drain');
+  console.log('✅ drain test passed');
+}
+
+try {
+  await main();
+} finally {
+  await redis.del(llmRateBucketKey(RPM_MODEL, 'rpm'), llmRateBucketKey(TPM_MODEL, 'tpm'));
+  for (const client of [redis, redisPub, redisSub]) client.disconnect();
+}
+console.log('\n✅ All LLM rate limit bucket tests passed!');
@@ -0,0 +1,186 @@
+import { spawn } from 'node:child_process';
+import type { ChildProcess } from 'node:child_process';
+
+// Queue-to-result run of the real server + worker against the mock LLM provider.
+// Needs only a local Redis; scripted faults exercise retries, reconciliation and repair.
+
+const PORT = Number(process.env.PORT ?? 3998);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const TARUKINGU = process.env.TARUKINGU ?? 'tarukingu';
+
+async function sleep(ms: number) {
+  await new Promise((r) => setTimeout(r, ms));
+}
+
+async function waitForHealthz(timeoutMs: number) {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    try {
+      const r = await fetch(`${BASE_URL}/healthz`);
+      if (r.ok) return;
+    } catch {
+      // ignore
+    }
+    await sleep(100);
+  }
+  throw new Error('Timed out waiting for /healthz');
+}
+
+async function api(accessToken: string, method: string, path: string, body?: unknown, headers: Record<string, string> = {}) {
+  const r = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      tarukingu: TARUKINGU,
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: r.status, json: (await r.json()) as any };
+}
+
+async function waitForStatus(jobId: string, accessToken: string, statuses: string[], timeoutMs: number, pollMs = 200): Promise<any> {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const { status, json: view } = await api(accessToken, 'GET', `/v1/jobs/${jobId}`);
+    if (status !== 200) throw new Error(`Expected 200 from /v1/jobs/${jobId}, got ${status}: ${JSON.stringify(view)}`);
+    if (statuses.includes(view.status)) return view;
+    await sleep(pollMs);
+  }
+  throw new Error(`Timed out waiting for job ${jobId} to reach ${statuses.join('/')}`);
+}
+
+async function waitForTerminal(jobId: string, accessToken: string, timeoutMs: number): Promise<any> {
+  return await waitForStatus(jobId, accessToken, ['succeeded', 'failed'], timeoutMs);
+}
+
+async function main() {
+  const tsxPath = new URL('../node_modules/.bin/tsx', import.meta.url).pathname;
+  const childEnv = {
+    ...process.env,
+    NODE_ENV: 'test',
+    APPLE_TEST_MODE: 'true',
+    PORT: String(PORT),
+    BASE_URL,
+    REDIS_URL: process.env.REDIS_URL ?? 'redis://127.0.0.1:6379',
+    API_JWT_SECRET: process.env.API_JWT_SECRET ?? 'test-secret-32+chars--------------------',
+    APPLE_AUDIENCE: process.env.APPLE_AUDIENCE ?? 'me.kyzcwezsabuk.Uta',
+    TARUKINGU,
+    TRANSLATION_PROVIDER: 'mock',
+    ANALYSIS_PROVIDER: 'mock',
+    // Every run must reach the provider.
+    RESULT_CACHE_TTL_SECONDS: '0',
+    LINE_CACHE_TTL_SECONDS: '0',
+    MOCK_LLM_FAULTS: 'translate:503,analyze:truncate,analyze:malformed',
+    // Keeps jobs running long enough to cancel one mid-flight
+    MOCK_LLM_DELAY_MS: '1000'
+  };
+
+  const children: ChildProcess[] = [
+    spawn(tsxPath, ['src/server.ts'], { stdio: 'inherit', env: childEnv }),
+    spawn(tsxPath, ['src/worker.ts'], { stdio: 'inherit', env: childEnv })
+  ];
+
+  try {
+    await waitForHealthz(10_000);
+
+    const authResp = await fetch(`${BASE_URL}/v1/auth/apple`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', tarukingu: TARUKINGU },
+      body: JSON.stringify({ identityToken: 'test', nonce: 'nonce-for-pipeline-test' })
+    });
+    if (authResp.status !== 200) {
+      throw new Error(`Expected 200 from /v1/auth/apple, got ${authResp.status}: ${await authResp.text()}`);
+    }
+    const { accessToken } = (await authResp.json()) as { accessToken: string };
+
+    const lines = ['夏が来た', 'いなせだね', '東京に行く', '夏が来た', 'hello world'];
+    const createResp = await fetch(`${BASE_URL}/v1/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}`, tarukingu: TARUKINGU },
+      body: JSON.stringify({ title: 'pipeline test', artist: 'mock', lyrics: lines.join('\n') })
+    });
+    if (createResp.status !== 200) {
+      throw new Error(`Expected 200 from POST /v1/jobs, got ${createResp.status}: ${await createResp.text()}`);
+    }
+    const { jobId } = (await createResp.json()) as { jobId: string };
+
+    const view = await waitForTerminal(jobId, accessToken, 60_000);
+    if (view.status !== 'succeeded') throw new Error(`Expected job to succeed, got ${view.status}: ${view.error}`);
+
+    const { translations, lyricsData, missingLines } = view.result;
+    if (missingLines) throw new Error(`Expected a complete result, got missingLines=${JSON.stringify(missingLines)}`);
+    for (let i = 0; i < lines.length; i++) {
+      if (typeof translations[i] !== 'string') throw new Error(`Missing translation for line ${i}`);
+      if (lyricsData[i] == null) throw new Error(`Missing lyricsData for line ${i}`);
+    }
+    if (translations[0] !== translations[3] || lyricsData[0] !== lyricsData[3]) {
+      throw new Error('Expected repeated lines to share translation and lyricsData');
+    }
+    // truncate drops two lines; their re-request comes back malformed once and is repaired.
+    if (view.repairedLines !== 1) throw new Error(`Expected 1 repaired line, got ${view.repairedLines}`);
+    if (!(view.usage?.translations.promptTokens > 0 && view.usage?.lyricsData.outputTokens > 0)) {
+      throw new Error(`Expected token usage on the job, got ${JSON.stringify(view.usage)}`);
+    }
+
+    const partialResp = await fetch(`${BASE_URL}/v1/jobs/${jobId}/partial`, {
+      headers: { Authorization: `Bearer ${accessToken}`, tarukingu: TARUKINGU }
+    });
+    const partial = (await partialResp.json()) as any;
+    if (!partial.complete || Object.keys(partial.lyricsData).length !== lines.length || Object.keys(partial.translations).length !== lines.length) {
+      throw new Error(`Expected a complete partial view, got ${JSON.stringify(partial)}`);
+    }
+    console.log('✅ pipeline test passed');
+
+    // Cancel a running job, then retry it under the same jobId
+    const cancelResp = await api(accessToken, 'POST', '/v1/jobs', { title: 'cancel test', artist: 'mock', lyrics: '雨が降る\n風が吹く' });
+    const cancelJobId = cancelResp.json.jobId as string;
+    await waitForStatus(cancelJobId, accessToken, ['running'], 30_000, 50);
+    const deleted = await api(accessToken, 'DELETE', `/v1/jobs/${cancelJobId}`);
+    if (deleted.status !== 200 || deleted.json.status !== 'cancelled') {
+      throw new Error(`Expected the running job to be cancelled, got ${deleted.status}: ${JSON.stringify(deleted.json)}`);
+    }
+    // 409 while the worker is still winding the cancelled run down
+    let retried = await api(accessToken, 'POST', `/v1/jobs/${cancelJobId}/retry`, {});
+    for (let i = 0; retried.status === 409 && i < 50; i++) {
+      await sleep(200);
+      retried = await api(accessToken, 'POST', `/v1/jobs/${cancelJobId}/retry`, {});
+    }
+    if (retried.status !== 200 || retried.json.jobId !== cancelJobId || retried.json.retryOf !== cancelJobId) {
+      throw new Error(`Expected a retry under the same jobId, got ${retried.status}: ${JSON.stringify(retried.json)}`);
+    }
+    const retriedView = await waitForTerminal(cancelJobId, accessToken, 60_000);
+    if (retriedView.status !== 'succeeded') throw new Error(`Expected the retried job to succeed, got ${retriedView.status}: ${retriedView.error}`);
+    console.log('✅ cancel and retry test passed');
+
+    // Replaying an Idempotency-Key returns the original job; another body under it is refused
+    const idemBody = { title: 'idempotency test', artist: 'mock', lyrics: '星が光る' };
+    const idemHeaders = { 'Idempotency-Key': `pipeline-${Date.now()}` };
+    const first = await api(accessToken, 'POST', '/v1/jobs', idemBody, idemHeaders);
+    const replay = await api(accessToken, 'POST', '/v1/jobs', idemBody, idemHeaders);
+    if (first.status !== 200 || replay.status !== 200 || replay.json.jobId !== first.json.jobId) {
+      throw new Error(`Expected the replay to return job ${first.json.jobId}, got ${replay.status}: ${JSON.stringify(replay.json)}`);
+    }
+    const conflict = await api(accessToken, 'POST', '/v1/jobs', { ...idemBody, lyrics: '月が出る' }, idemHeaders);
+    if (conflict.status !== 409) throw new Error(`Expected 409 for a different body, got ${conflict.status}: ${JSON.stringify(conflict.json)}`);
+    await waitForTerminal(first.json.jobId, accessToken, 60_000);
+    console.log('✅ idempotency test passed');
+
+    // A batch with one invalid entry queues the rest
+    const batch = await api(accessToken, 'POST', '/v1/jobs/batch', {
+      songs: [{ title: 'batch ok', artist: 'mock', lyrics: '花が咲く' }, { title: 'batch missing lyrics' }]
+    });
+    const [ok, invalid] = batch.json.results ?? [];
+    if (batch.status !== 200 || ok?.status !== 'queued' || invalid?.status !== 'invalid' || invalid?.index !== 1 || !invalid?.error) {
+      throw new Error(`Unexpected batch results: ${batch.status} ${JSON.stringify(batch.json)}`);
+    }
+    const batchView = await waitForTerminal(ok.jobId, accessToken, 60_000);
+    if (batchView.status !== 'succeeded') throw new Error(`Expected the valid batch entry to succeed, got ${batchView.status}: ${batchView.error}`);
+    console.log('✅ batch test passed');
+  } finally {
+    for (const child of children) child.kill('SIGTERM');
+  }
+}
+
+await main();
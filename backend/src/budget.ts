@@ -0,0 +1,69 @@
+import { env } from './env.js';
+import { redis } from './redis.js';
+import { budgetExhaustedKey, budgetPausedQueueKey, usageGlobalKey } from './keys.js';
+import { usageDay } from './usage.js';
+
+/**
+ * Global daily spend cap (DAILY_TOKEN_BUDGET / DAILY_COST_BUDGET_USD, 0 = no cap), checked against
+ * the global usage totals for the current UTC day.
+ *
+ * Workers own the state: once the day's totals reach a cap they set `budget:exhausted` (expiring
+ * at the end of the window, read by the API to refuse new jobs) and pause the queue. Calls already
+ * in flight finish, so the overshoot is bounded by the jobs running at that moment.
+ */
+
+export type BudgetState = {
+  exhausted: boolean;
+  // End of the current budget window (next UTC midnight)
+  resetsAt: number;
+};
+
+export function budgetEnabled(): boolean {
+  return env.DAILY_TOKEN_BUDGET > 0 || env.DAILY_COST_BUDGET_USD > 0;
+}
+
+export function budgetWindowEnd(now: number = Date.now()): number {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+export function retryAfterSeconds(resetsAt: number, now: number = Date.now()): number {
+  return Math.max(1, Math.ceil((resetsAt - now) / 1000));
+}
+
+// Compares today's totals with the caps.
+export async function checkBudget(now: number = Date.now()): Promise<BudgetState> {
+  const resetsAt = budgetWindowEnd(now);
+  if (!budgetEnabled()) return { exhausted: false, resetsAt };
+  const totals = await redis.hgetall(usageGlobalKey(usageDay(now)));
+  const tokens = Number(totals.promptTokens ?? 0) + Number(totals.outputTokens ?? 0);
+  const costUsd = Number(totals.costMicros ?? 0) / 1_000_000;
+  const exhausted =
+    (env.DAILY_TOKEN_BUDGET > 0 && tokens >= env.DAILY_TOKEN_BUDGET) ||
+    (env.DAILY_COST_BUDGET_USD > 0 && costUsd >= env.DAILY_COST_BUDGET_USD);
+  return { exhausted, resetsAt };
+}
+
+// The flag the API checks before accepting jobs; null while capacity remains.
+export async function getExhaustedUntil(): Promise<number | null> {
+  const raw = await redis.get(budgetExhaustedKey());
+  const until = raw ? Number(raw) : NaN;
+  return Number.isFinite(until) && until > Date.now() ? until : null;
+}
+
+export async function markExhausted(resetsAt: number): Promise<void> {
+  const pipe = redis.pipeline();
+  pipe.set(budgetExhaustedKey(), resetsAt.toString(), 'PXAT', resetsAt);
+  // No TTL: whichever worker next sees a fresh window resumes the queue.
+  pipe.set(budgetPausedQueueKey(), resetsAt.toString());
+  await pipe.exec();
+}
+
+// True when the budget paused the queue (so it is ours to resume).
+export async function pausedByBudget(): Promise<boolean> {
+  return (await redis.exists(budgetPausedQueueKey())) === 1;
+}
+
+export async function clearBudgetPause(): Promise<void> {
+  await redis.del(budgetPausedQueueKey(), budgetExhaustedKey());
+}
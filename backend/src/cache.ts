@@ -0,0 +1,87 @@
+import { createHash } from 'node:crypto';
+import { env } from './env.js';
+import { redis } from './redis.js';
+import { lineCacheKey, lineCacheStatsKey, resultCacheKey, resultCacheStatsKey } from './keys.js';
+import { normalizeLine } from './lines.js';
+import type { LyricsJobResult, LyricsLine } from './types.js';
+
+export type CacheStats = {
+  hits: number;
+  misses: number;
+};
+
+export type CachedLine = {
+  translation: string;
+  lyricsData: LyricsLine | string;
+};
+
+function sha256Hex(input: string): string {
+  return createHash('sha256').update(input, 'utf8').digest('hex');
+}
+
+async function readStats(key: string): Promise<CacheStats> {
+  const stats = await redis.hgetall(key);
+  return {
+    hits: Number(stats.hits ?? 0),
+    misses: Number(stats.misses ?? 0)
+  };
+}
+
+/**
+ * Content address for a finished result: the normalized lyrics plus everything that changes
+ * what the model would produce for them (prompt set, providers/models, output format).
+ */
+export function resultCacheHash(lines: string[], promptId: string, providers: string): string {
+  const format = env.USE_COMPACT_FORMAT ? 'compact' : 'json';
+  return sha256Hex(`${promptId}\n${providers}\n${format}\n${lines.map(normalizeLine).join('\n')}`);
+}
+
+export async function getCachedResult(hash: string): Promise<LyricsJobResult | null> {
+  if (env.RESULT_CACHE_TTL_SECONDS <= 0) return null;
+  const raw = await redis.get(resultCacheKey(hash));
+  await redis.hincrby(resultCacheStatsKey(), raw ? 'hits' : 'misses', 1);
+  return raw ? (JSON.parse(raw) as LyricsJobResult) : null;
+}
+
+export async function putCachedResult(hash: string, result: LyricsJobResult): Promise<void> {
+  if (env.RESULT_CACHE_TTL_SECONDS <= 0) return;
+  await redis.set(resultCacheKey(hash), JSON.stringify(result), 'EX', env.RESULT_CACHE_TTL_SECONDS);
+}
+
+export async function getResultCacheStats(): Promise<CacheStats> {
+  return await readStats(resultCacheStatsKey());
+}
+
+/**
+ * Namespace for per-line entries. A line's analysis is only reusable under the same
+ * prompt set, providers/models and output format that produced it.
+ */
+export function lineCacheScope(promptId: string, providers: string): string {
+  const format = env.USE_COMPACT_FORMAT ? 'compact' : 'json';
+  return sha256Hex(`${promptId}\n${providers}\n${format}`).slice(0, 16);
+}
+
+export async function getCachedLines(lines: string[], scope: string): Promise<(CachedLine | null)[]> {
+  if (env.LINE_CACHE_TTL_SECONDS <= 0 || lines.length === 0) return lines.map(() => null);
+  const raws = await redis.mget(lines.map((line) => lineCacheKey(scope, sha256Hex(normalizeLine(line)))));
+  const cached = raws.map((raw) => (raw ? (JSON.parse(raw) as CachedLine) : null));
+  const hits = cached.filter(Boolean).length;
+  const pipe = redis.pipeline();
+  if (hits > 0) pipe.hincrby(lineCacheStatsKey(), 'hits', hits);
+  if (hits < lines.length) pipe.hincrby(lineCacheStatsKey(), 'misses', lines.length - hits);
+  await pipe.exec();
+  return cached;
+}
+
+export async function putCachedLines(entries: { line: string; value: CachedLine }[], scope: string): Promise<void> {
+  if (env.LINE_CACHE_TTL_SECONDS <= 0 || entries.length === 0) return;
+  const pipe = redis.pipeline();
+  for (const { line, value } of entries) {
+    pipe.set(lineCacheKey(scope, sha256Hex(normalizeLine(line))), JSON.stringify(value), 'EX', env.LINE_CACHE_TTL_SECONDS);
+  }
+  await pipe.exec();
+}
+
+export async function getLineCacheStats(): Promise<CacheStats> {
+  return await readStats(lineCacheStatsKey());
+}
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for compact format diagnostics
+ *
+ * diagnoseCompactFormat reports every problem in a line (with word index and code)
+ * instead of throwing on the first one like validateCompactFormat.
+ */
+
+import { diagnoseCompactFormat, validateCompactFormat } from './compact-format.js';
+
+console.log('Running compact format diagnostics tests...');
+
+// Test clean lines produce no diagnostics
+try {
+  const lines = ['夏|なつ|01', 'いなせ|いなせ|011_だね|だね|10_夏|なつ|01', 'Raise||_で|で|0_yeah!||', '夏|なつ|01|夏:なつ'];
+  for (const line of lines) {
+    const diagnostics = diagnoseCompactFormat(line, 0);
+    if (diagnostics.length !== 0) throw new Error(`Expected no diagnostics for ${line}: ${JSON.stringify(diagnostics)}`);
+  }
+  console.log('✅ Clean line test passed');
+} catch (error) {
+  console.error('❌ Clean line test failed:', error);
+  process.exit(1);
+}
+
+// Test each problem is reported with its word index and code
+try {
+  const diagnostics = diagnoseCompactFormat('夏|なつ|01_が|ガ|0_来た|きた|0a', 7);
+  const codes = diagnostics.map((d) => `${d.lineIndex}:${d.wordIndex}:${d.code}`);
+  const expected = ['7:1:reading_not_hiragana', '7:2:pitch_not_binary'];
+  if (codes.join(',') !== expected.join(',')) throw new Error(`Unexpected diagnostics: ${codes.join(',')}`);
+  console.log('✅ Multiple problems test passed');
+} catch (error) {
+  console.error('❌ Multiple problems test failed:', error);
+  process.exit(1);
+}
+
+// Test segment shape errors
+try {
+  const shape = diagnoseCompactFormat('夏|なつ_が|が|0', 0);
+  if (shape.length !== 1 || shape[0].code !== 'segment_shape' || shape[0].wordIndex !== 0) {
+    throw new Error(`Unexpected shape diagnostics: ${JSON.stringify(shape)}`);
+  }
+  const mismatch = diagnoseCompactFormat('夏|なつ|', 0);
+  if (mismatch.length !== 1 || mismatch[0].code !== 'reading_pitch_mismatch') {
+    throw new Error(`Unexpected mismatch diagnostics: ${JSON.stringify(mismatch)}`);
+  }
+  const empty = diagnoseCompactFormat('  ', 3);
+  if (empty.length !== 1 || empty[0].code !== 'no_segments' || empty[0].lineIndex !== 3) {
+    throw new Error(`Unexpected empty diagnostics: ${JSON.stringify(empty)}`);
+  }
+  console.log('✅ Segment shape test passed');
+} catch (error) {
+  console.error('❌ Segment shape test failed:', error);
+  process.exit(1);
+}
+
+// Test lines validateCompactFormat rejects always have at least one diagnostic
+try {
+  const invalidLines = ['夏|なつ', '夏|なつ|012', '|なつ|01', '夏|なつ|01_が|が'];
+  for (const line of invalidLines) {
+    let threw = false;
+    try {
+      validateCompactFormat(line, 0);
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error(`Expected validateCompactFormat to reject ${line}`);
+    if (diagnoseCompactFormat(line, 0).length === 0) throw new Error(`Expected diagnostics for ${line}`);
+  }
+  console.log('✅ Consistency with validator test passed');
+} catch (error) {
+  console.error('❌ Consistency with validator test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All diagnostics tests passed!');
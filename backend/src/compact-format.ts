@@ -24,6 +24,29 @@ export interface ParsedCompactFormat {
   words: ParsedWordSegment[];
 }
 
+/**
+ * Machine-readable codes for compact format problems
+ */
+export type CompactFormatDiagnosticCode =
+  | 'no_segments'
+  | 'segment_shape'
+  | 'empty_word'
+  | 'reading_pitch_mismatch'
+  | 'pitch_not_binary'
+  | 'reading_not_hiragana'
+  | 'missing_line'
+  | 'missing_translation';
+
+/**
+ * One problem found in a line, located by line index and (when applicable) word index
+ */
+export interface CompactFormatDiagnostic {
+  lineIndex: number;
+  wordIndex?: number;
+  code: CompactFormatDiagnosticCode;
+  message: string;
+}
+
 /**
  * Sanitize compact format output (strip whitespace, validate structure)
  * @param raw - Raw output from Gemini
@@ -181,3 +204,68 @@ export function validateCompactFormat(compactStr: string, lineNumber: number): b
     throw error;
   }
 }
+
+/**
+ * Collect every problem in a compact format line instead of stopping at the first one.
+ * Covers the same rules as validateCompactFormat, including the ones it only warns about.
+ * @param compactStr - Compact format string
+ * @param lineIndex - Line index the diagnostics are reported against
+ * @returns Diagnostics in word order; empty when the line is clean
+ */
+export function diagnoseCompactFormat(compactStr: string, lineIndex: number): CompactFormatDiagnostic[] {
+  const diagnostics: CompactFormatDiagnostic[] = [];
+  const segments = compactStr.split('_').filter((segment) => segment.trim());
+
+  if (segments.length === 0) {
+    return [{ lineIndex, code: 'no_segments', message: 'No valid word segments found in compact format string' }];
+  }
+
+  segments.forEach((segment, wordIndex) => {
+    const parts = segment.split('|');
+    if (parts.length < 3 || parts.length > 4) {
+      diagnostics.push({
+        lineIndex,
+        wordIndex,
+        code: 'segment_shape',
+        message: `Invalid segment format: "${segment}". Expected 3 or 4 pipe-separated components, got ${parts.length}`
+      });
+      return;
+    }
+
+    const [word, reading, pitchMap] = parts;
+    if (!word) {
+      diagnostics.push({ lineIndex, wordIndex, code: 'empty_word', message: `Invalid segment: "${segment}". Word component must be non-empty` });
+    }
+
+    // English/romaji words carry neither reading nor pitch
+    if (reading === '' && pitchMap === '') return;
+    if (reading === '' || pitchMap === '') {
+      diagnostics.push({
+        lineIndex,
+        wordIndex,
+        code: 'reading_pitch_mismatch',
+        message: `Invalid segment: "${segment}". Reading and PitchMap must both be empty (for English) or both be non-empty`
+      });
+      return;
+    }
+
+    if (!isBinaryString(pitchMap)) {
+      diagnostics.push({
+        lineIndex,
+        wordIndex,
+        code: 'pitch_not_binary',
+        message: `PitchMap "${pitchMap}" contains non-binary characters. Must be only 0 and 1.`
+      });
+    }
+    if (!isPrimarilyHiragana(reading)) {
+      diagnostics.push({
+        lineIndex,
+        wordIndex,
+        code: 'reading_not_hiragana',
+        message: `Reading "${reading}" is not primarily hiragana`
+      });
+    }
+  });
+
+  return diagnostics;
+}
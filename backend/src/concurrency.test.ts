@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the concurrency helpers (chunking + bounded parallel map)
+ */
+
+import { chunk, mapWithConcurrency } from './concurrency.js';
+
+console.log('Running concurrency tests...');
+
+function sleep(ms: number) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Test chunking keeps order and puts the remainder in the last chunk
+try {
+  const chunks = chunk([0, 1, 2, 3, 4], 2);
+  if (JSON.stringify(chunks) !== '[[0,1],[2,3],[4]]') throw new Error(`Unexpected chunks: ${JSON.stringify(chunks)}`);
+  if (chunk([], 3).length !== 0) throw new Error('Expected no chunks for no items');
+  console.log('✅ chunk test passed');
+} catch (error) {
+  console.error('❌ chunk test failed:', error);
+  process.exit(1);
+}
+
+// Test results keep input order and the limit is respected
+try {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return i * 10;
+  });
+  if (results.join(',') !== '0,10,20,30,40') throw new Error(`Unexpected results: ${results.join(',')}`);
+  if (maxInFlight !== 2) throw new Error(`Expected at most 2 calls in flight, saw ${maxInFlight}`);
+  console.log('✅ mapWithConcurrency order/limit test passed');
+} catch (error) {
+  console.error('❌ mapWithConcurrency order/limit test failed:', error);
+  process.exit(1);
+}
+
+// Test a rejection stops new items, aborts the ones in flight and waits for them to settle
+try {
+  const started: number[] = [];
+  const settled: number[] = [];
+  let error: unknown;
+  try {
+    await mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (item, _i, signal) => {
+      started.push(item);
+      try {
+        if (item === 0) {
+          await sleep(5);
+          throw new Error('chunk 0 failed');
+        }
+        await new Promise<void>((resolve, reject) => {
+          const timer = setTimeout(resolve, 50);
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('aborted'));
+          });
+        });
+      } finally {
+        settled.push(item);
+      }
+    });
+  } catch (err) {
+    error = err;
+  }
+  if ((error as Error | undefined)?.message !== 'chunk 0 failed') throw new Error(`Expected the first error, got ${error}`);
+  if (started.join(',') !== '0,1') throw new Error(`Expected only items 0 and 1 to start, got ${started.join(',')}`);
+  if (settled.length !== started.length) throw new Error(`Rejected before items settled: started=${started} settled=${settled}`);
+  await sleep(60);
+  if (started.length !== 2) throw new Error(`Items started after the rejection: ${started.join(',')}`);
+  console.log('✅ mapWithConcurrency failure test passed');
+} catch (error) {
+  console.error('❌ mapWithConcurrency failure test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All concurrency tests passed!');
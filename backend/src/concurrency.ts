@@ -0,0 +1,38 @@
+export function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Like Promise.all over `items.map(fn)`, but with at most `limit` calls in flight.
+ * Results keep the input order. After the first rejection no further items are started and
+ * `signal` (passed to every call) is aborted; the call rejects with that first error once the
+ * calls already in flight have settled, so nothing keeps running behind the caller's back.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number, signal: AbortSignal) => Promise<R>
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  const failure = new AbortController();
+  let firstError: unknown;
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length && !failure.signal.aborted) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index, failure.signal);
+      } catch (err) {
+        if (!failure.signal.aborted) {
+          firstError = err;
+          failure.abort(err);
+        }
+      }
+    }
+  });
+  await Promise.all(runners);
+  if (failure.signal.aborted) throw firstError;
+  return results;
+}
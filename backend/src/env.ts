@@ -8,9 +8,61 @@ const EnvSchema = z.object({
   REDIS_URL: z.string().default('redis://127.0.0.1:6379'),
   API_JWT_SECRET: z.string().min(32),
 
-  GEMINI_API_KEY: z.string().min(1),
+  // Gemini keys (pooled, see geminiKeys.ts); at least one is required when either stage uses the
+  // gemini provider (except in replay mode). The file is one key per line and reloaded on change.
+  GEMINI_API_KEY: z.string().min(1).optional(),
+  GEMINI_API_KEYS: z.string().default(''),
+  GEMINI_API_KEYS_FILE: z.string().min(1).optional(),
+  // How long a key sits out after a quota error
+  GEMINI_KEY_COOLDOWN_MS: z.coerce.number().int().min(0).default(60_000),
+  // Ordered fallback chain, comma separated; later models are used when earlier ones keep failing
   GEMINI_MODEL: z.string().default('gemini-3-flash-preview'),
   GEMINI_TIMEOUT_MS: z.coerce.number().default(10 * 60 * 1000),
+  // Record Gemini exchanges to GEMINI_RECORDINGS_DIR, or replay them offline (see geminiRecordings.ts)
+  GEMINI_RECORD_MODE: z.enum(['off', 'record', 'replay']).default('off'),
+  GEMINI_RECORDINGS_DIR: z.string().default('fixtures/gemini-recordings'),
+  // Long songs are split into chunks of this many lines for the lyrics-data stage
+  LYRICS_CHUNK_SIZE: z.coerce.number().int().min(1).default(40),
+  // Max lyrics-data calls in flight per job (the translation call runs next to them)
+  GEMINI_CONCURRENCY: z.coerce.number().int().min(1).default(3),
+  // Rounds of targeted re-requests for lines missing from (or invalid in) Gemini output
+  GEMINI_RECONCILE_ATTEMPTS: z.coerce.number().int().min(0).default(2),
+  // Tries per pipeline stage before the job fails; a retry leaves the other stage's output alone
+  STAGE_ATTEMPTS: z.coerce.number().int().min(1).default(2),
+  // What to do when lines are still missing afterwards: fail the job, or succeed with `missingLines`
+  INCOMPLETE_RESULT_POLICY: z.enum(['fail', 'mark']).default('mark'),
+
+  // LLM provider per pipeline stage; *_MODEL overrides the provider's default model (or model list)
+  TRANSLATION_PROVIDER: z.enum(['gemini', 'openai', 'mock']).default('gemini'),
+  TRANSLATION_MODEL: z.string().min(1).optional(),
+  ANALYSIS_PROVIDER: z.enum(['gemini', 'openai', 'mock']).default('gemini'),
+  ANALYSIS_MODEL: z.string().min(1).optional(),
+
+  // OpenAI-compatible chat completions (OpenAI or a self-hosted server)
+  OPENAI_BASE_URL: z.string().url().default('https://api.openai.com/v1'),
+  OPENAI_API_KEY: z.string().min(1).optional(),
+  OPENAI_MODEL: z.string().default('gpt-4o-mini'),
+  OPENAI_TIMEOUT_MS: z.coerce.number().default(10 * 60 * 1000),
+
+  // Fleet-wide rate limits per model, `model=rpm/tpm` (0 = unlimited), e.g. `gemini-3-flash-preview=1000/1000000`
+  LLM_RATE_LIMITS: z.string().default(''),
+
+  // Global daily caps (UTC day, all users and workers); 0 disables. Reaching one pauses the queue until the next day.
+  DAILY_TOKEN_BUDGET: z.coerce.number().int().min(0).default(0),
+  DAILY_COST_BUDGET_USD: z.coerce.number().min(0).default(0),
+
+  // USD per 1M tokens by model, `model=input/output`, e.g. `gemini-3-flash-preview=0.5/3,gpt-4o-mini=0.15/0.6`
+  LLM_PRICING: z.string().default(''),
+
+  // Prompt set (directory under prompts/) for everyone not in a PROMPT_COHORTS cohort, e.g. `v2:10,v3:5`
+  PROMPT_VERSION: z.string().min(1).default('v1'),
+  PROMPT_COHORTS: z.string().default(''),
+
+  // Offline mock provider: fixture directory and scripted faults (see mockLlm.ts)
+  MOCK_LLM_FIXTURES_DIR: z.string().default('fixtures/mock-llm'),
+  MOCK_LLM_FAULTS: z.string().default(''),
+  // Latency added to every mock call (tests that need a job to stay running for a while)
+  MOCK_LLM_DELAY_MS: z.coerce.number().int().min(0).default(0),
 
   APPLE_AUDIENCE: z.string().min(1),
 
@@ -20,7 +72,19 @@ const EnvSchema = z.object({
   DEV_BYPASS_TOKEN: z.string().optional(),
 
   // Compact format configuration
-  USE_COMPACT_FORMAT: z.coerce.boolean().default(true)
+  USE_COMPACT_FORMAT: z.coerce.boolean().default(true),
+
+  // Results for identical lyrics are reused for this long (0 disables the cache)
+  RESULT_CACHE_TTL_SECONDS: z.coerce.number().int().min(0).default(7 * 24 * 60 * 60),
+  // Per-line analyses are reused across songs for this long (0 disables the cache)
+  LINE_CACHE_TTL_SECONDS: z.coerce.number().int().min(0).default(30 * 24 * 60 * 60)
+}).superRefine((value, ctx) => {
+  const usesGemini = value.TRANSLATION_PROVIDER === 'gemini' || value.ANALYSIS_PROVIDER === 'gemini';
+  // Replay never calls the API
+  const hasKeys = Boolean(value.GEMINI_API_KEY || value.GEMINI_API_KEYS.trim() || value.GEMINI_API_KEYS_FILE);
+  if (usesGemini && value.GEMINI_RECORD_MODE !== 'replay' && !hasKeys) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['GEMINI_API_KEY'], message: 'GEMINI_API_KEY, GEMINI_API_KEYS or GEMINI_API_KEYS_FILE is required when a stage uses the gemini provider' });
+  }
 });
 
 export const env = EnvSchema.parse(process.env);
@@ -1,93 +1,95 @@
-import { readFile } from 'node:fs/promises';
-import path from 'node:path';
 import { env } from './env.js';
+import { coolDownGeminiKey, nextGeminiKey } from './geminiKeys.js';
+import { readRecording, writeRecording } from './geminiRecordings.js';
+import { LlmHttpError, LlmOutputError, postJson, postSse, promptProvider, withRetries } from './llm.js';
+import { acquireCapacity, drainCapacity, estimateTokens, settleCapacity } from './llmRateLimit.js';
+import type { LlmCallOptions, LlmCompletion, LlmProvider, TokenUsage } from './llm.js';
 
 const GEMINI_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models';
 
 const GEMINI_TIMEOUT_MS = env.GEMINI_TIMEOUT_MS;
-const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
 
-function sleep(ms: number) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * streamGenerateContent: reports the text accumulated so far after every event, and returns the
+ * response folded into the generateContent shape (so recordings and parsing stay the same).
+ */
+async function streamGemini(url: string, apiKey: string, bodyJson: string, signal: AbortSignal | undefined, onPartialText: (textSoFar: string) => Promise<void>): Promise<any> {
+  let text = '';
+  let usageMetadata: unknown;
+  await postSse('Gemini', url, { 'x-goog-api-key': apiKey }, bodyJson, GEMINI_TIMEOUT_MS, signal, async (event) => {
+    const parts: any[] = event?.candidates?.[0]?.content?.parts ?? [];
+    const delta = parts.filter((p) => !p?.thought && typeof p?.text === 'string').map((p) => p.text).join('');
+    if (event?.usageMetadata) usageMetadata = event.usageMetadata;
+    if (delta.length === 0) return;
+    text += delta;
+    await onPartialText(text);
+  });
+  return { candidates: [{ content: { role: 'model', parts: [{ text }] } }], usageMetadata };
 }
 
-async function loadPrompt(fileName: string): Promise<string> {
-  const filePath = path.join(process.cwd(), 'prompts', fileName);
-  return await readFile(filePath, 'utf8');
-}
-
-function jsonEscapeForJSONStringValue(input: string): string {
-  // Mirror the iOS behavior: turn the raw JSON into a JSON-string-safe value.
-  // Equivalent to JSON.stringify(input).slice(1, -1)
-  const quoted = JSON.stringify(input);
-  return quoted.length >= 2 ? quoted.slice(1, -1) : input;
-}
+async function callGemini(bodyJson: string, model: string, options?: LlmCallOptions): Promise<LlmCompletion> {
+  const signal = options?.signal;
+  const onPartialText = options?.onPartialText;
+  const url = onPartialText
+    ? `${GEMINI_ENDPOINT}/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+    : `${GEMINI_ENDPOINT}/${encodeURIComponent(model)}:generateContent`;
 
-async function callGemini(bodyJson: string): Promise<string> {
-  const url = `${GEMINI_ENDPOINT}/${encodeURIComponent(env.GEMINI_MODEL)}:generateContent`;
+  if (env.GEMINI_RECORD_MODE === 'replay') {
+    const recording = await readRecording(bodyJson, model);
+    const replayed = completion(recording.response);
+    await onPartialText?.(replayed.text);
+    return replayed;
+  }
 
-  const maxAttempts = 4;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), GEMINI_TIMEOUT_MS);
+  const reserved = estimateTokens(bodyJson);
+  return await withRetries('gemini', async () => {
+    await acquireCapacity('gemini', model, reserved, signal);
+    // A fresh key per attempt, so a retry after a quota error goes to another key.
+    const apiKey = nextGeminiKey();
+    let data: any;
     try {
-      const res = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'x-goog-api-key': env.GEMINI_API_KEY,
-          'content-type': 'application/json'
-        },
-        body: bodyJson,
-        signal: controller.signal
-      });
-
-      if (!res.ok) {
-        const text = await res.text().catch(() => '');
-        const msg = `Gemini error ${res.status}: ${text || res.statusText}`;
-
-        if (RETRYABLE_STATUS.has(res.status) && attempt < maxAttempts) {
-          const backoffMs = Math.min(10_000, 1_000 * Math.pow(2, attempt - 1)) + Math.floor(Math.random() * 250);
-          console.warn(`[gemini] retrying (attempt=${attempt}/${maxAttempts}) status=${res.status} backoffMs=${backoffMs}`);
-          await sleep(backoffMs);
-          continue;
-        }
-
-        throw new Error(msg);
-      }
-
-      const data: any = await res.json();
-      const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (typeof text !== 'string' || text.trim().length === 0) {
-        throw new Error('Gemini returned empty response');
-      }
-      return text;
-    } catch (err: any) {
-      const isAbort = err?.name === 'AbortError';
-      const isRetryableNetwork = isAbort || (typeof err?.message === 'string' && /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND/i.test(err.message));
-      if (attempt < maxAttempts && isRetryableNetwork) {
-        const backoffMs = Math.min(10_000, 1_000 * Math.pow(2, attempt - 1)) + Math.floor(Math.random() * 250);
-        console.warn(`[gemini] retrying (attempt=${attempt}/${maxAttempts}) reason=${isAbort ? 'timeout' : 'network'} backoffMs=${backoffMs}`);
-        await sleep(backoffMs);
-        continue;
+      data = onPartialText
+        ? await streamGemini(url, apiKey, bodyJson, signal, onPartialText)
+        : await postJson('Gemini', url, { 'x-goog-api-key': apiKey }, bodyJson, GEMINI_TIMEOUT_MS, signal);
+    } catch (err) {
+      if (err instanceof LlmHttpError && err.status === 429) {
+        // Other keys may still have quota; only hold back the fleet once all are exhausted.
+        if (coolDownGeminiKey(apiKey) === 0) await drainCapacity(model);
       }
       throw err;
-    } finally {
-      clearTimeout(timeout);
     }
-  }
+    if (env.GEMINI_RECORD_MODE === 'record') {
+      const key = await writeRecording(bodyJson, model, data);
+      console.log(`[gemini] recorded ${key}`);
+    }
+    const result = completion(data);
+    if (result.usage) await settleCapacity(model, reserved, result.usage.promptTokens + result.usage.outputTokens);
+    return result;
+  }, signal);
+}
+
+function completion(data: any): LlmCompletion {
+  return { text: responseText(data), usage: responseUsage(data) };
+}
 
-  throw new Error('Gemini call failed after retries');
+function responseText(data: any): string {
+  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new LlmOutputError('Gemini returned empty response');
+  }
+  return text;
 }
 
-export async function generateTranslations(inputJson: string): Promise<string> {
-  let body = await loadPrompt('GeminiTranslationsBody.json');
-  body = body.replace(/\{\{INPUT_JSON\}\}/g, jsonEscapeForJSONStringValue(inputJson));
-  return await callGemini(body);
+function responseUsage(data: any): TokenUsage | undefined {
+  const usage = data?.usageMetadata;
+  if (!usage) return undefined;
+  return {
+    promptTokens: Number(usage.promptTokenCount ?? 0),
+    // Thinking tokens are billed at the output rate
+    outputTokens: Number(usage.candidatesTokenCount ?? 0) + Number(usage.thoughtsTokenCount ?? 0)
+  };
 }
 
-export async function generateLyricsData(inputJson: string, lineCount: number): Promise<string> {
-  let body = await loadPrompt('GeminiLyricsDataBody.json');
-  body = body.replace(/\{\{INPUT_JSON\}\}/g, jsonEscapeForJSONStringValue(inputJson));
-  body = body.replace(/\{\{LINE_COUNT\}\}/g, String(lineCount));
-  return await callGemini(body);
+export function createGeminiProvider(model: string): LlmProvider {
+  return promptProvider('gemini', model, async (bodyJson, options) => await callGemini(bodyJson, model, options));
 }
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the Gemini key pool (rotation, cooldown, reloads)
+ */
+
+// Imports are dynamic so the environment below is in place before env.ts reads it.
+export {};
+
+process.env.API_JWT_SECRET ??= 'test-secret-32+chars--------------------';
+process.env.APPLE_AUDIENCE ??= 'me.kyzcwezsabuk.Uta';
+process.env.TARUKINGU ??= 'tarukingu';
+process.env.GEMINI_API_KEY ??= 'test';
+
+const { GeminiKeyPool } = await import('./geminiKeys.js');
+
+console.log('Running Gemini key pool tests...');
+
+const COOLDOWN_MS = 60_000;
+
+function poolAt(keys: string[]) {
+  const clock = { now: 1_000_000 };
+  const pool = new GeminiKeyPool(COOLDOWN_MS, () => clock.now);
+  pool.setKeys(keys);
+  return { pool, clock };
+}
+
+function take(pool: InstanceType<typeof GeminiKeyPool>, n: number): string {
+  return Array.from({ length: n }, () => pool.next()).join(',');
+}
+
+// Test keys rotate round-robin
+try {
+  const { pool } = poolAt(['a', 'b', 'c']);
+  const order = take(pool, 5);
+  if (order !== 'a,b,c,a,b') throw new Error(`Unexpected rotation: ${order}`);
+  console.log('✅ rotation test passed');
+} catch (error) {
+  console.error('❌ rotation test failed:', error);
+  process.exit(1);
+}
+
+// Test keys in cooldown are skipped until it expires
+try {
+  const { pool, clock } = poolAt(['a', 'b', 'c']);
+  const available = pool.coolDown('b');
+  if (available !== 2) throw new Error(`Expected 2 available keys, got ${available}`);
+  const during = take(pool, 4);
+  if (during !== 'a,c,a,c') throw new Error(`Expected b to be skipped, got ${during}`);
+  clock.now += COOLDOWN_MS;
+  const after = take(pool, 3);
+  if (!after.includes('b')) throw new Error(`Expected b back after its cooldown, got ${after}`);
+  console.log('✅ cooldown skip test passed');
+} catch (error) {
+  console.error('❌ cooldown skip test failed:', error);
+  process.exit(1);
+}
+
+// Test that with every key cooling down, the one recovering first is used
+try {
+  const { pool, clock } = poolAt(['a', 'b', 'c']);
+  pool.coolDown('b');
+  clock.now += 1000;
+  pool.coolDown('a');
+  clock.now += 1000;
+  const available = pool.coolDown('c');
+  if (available !== 0) throw new Error(`Expected no available keys, got ${available}`);
+  if (pool.next() !== 'b') throw new Error('Expected the key with the earliest cooldown end');
+  console.log('✅ all keys cooling down test passed');
+} catch (error) {
+  console.error('❌ all keys cooling down test failed:', error);
+  process.exit(1);
+}
+
+// Test reloads report the diff, keep cooldowns of surviving keys and ignore unknown keys
+try {
+  const { pool } = poolAt(['a', 'b']);
+  pool.coolDown('a');
+  const same = pool.setKeys(['a', 'b']);
+  if (same.added.length !== 0 || same.removed.length !== 0) throw new Error(`Expected no diff, got ${JSON.stringify(same)}`);
+
+  const diff = pool.setKeys(['a', 'c']);
+  if (diff.added.join(',') !== 'c' || diff.removed.join(',') !== 'b') throw new Error(`Unexpected diff: ${JSON.stringify(diff)}`);
+  if (pool.size !== 2) throw new Error(`Expected 2 keys, got ${pool.size}`);
+  const order = take(pool, 3);
+  if (order !== 'c,c,c') throw new Error(`Expected a to stay in cooldown after the reload, got ${order}`);
+  if (pool.coolDown('b') !== 1) throw new Error('Expected a removed key not to affect the pool');
+  console.log('✅ reload test passed');
+} catch (error) {
+  console.error('❌ reload test failed:', error);
+  process.exit(1);
+}
+
+// Test an empty pool fails loudly
+try {
+  const { pool } = poolAt([]);
+  let threw = false;
+  try {
+    pool.next();
+  } catch {
+    threw = true;
+  }
+  if (!threw) throw new Error('Expected an error for an empty pool');
+  console.log('✅ empty pool test passed');
+} catch (error) {
+  console.error('❌ empty pool test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All Gemini key pool tests passed!');
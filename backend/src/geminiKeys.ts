@@ -0,0 +1,122 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, watchFile } from 'node:fs';
+import path from 'node:path';
+import { env } from './env.js';
+
+/**
+ * Pool of Gemini API keys: GEMINI_API_KEY, GEMINI_API_KEYS (comma separated) and GEMINI_API_KEYS_FILE
+ * (one key per line, `#` comments). Calls rotate round-robin through the pool; a key that hits a
+ * quota error (429) sits out GEMINI_KEY_COOLDOWN_MS. The file is re-read when it changes, so a
+ * mounted secret can be rotated without restarting the worker.
+ */
+
+const FILE_POLL_MS = 10_000;
+
+// Safe to log: identifies a key without revealing it.
+export function keyFingerprint(key: string): string {
+  return createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/** Rotation and cooldown bookkeeping; the process-wide pool below wraps one of these. */
+export class GeminiKeyPool {
+  private keys: string[] = [];
+  private cursor = 0;
+  private cooldownUntil = new Map<string, number>();
+
+  constructor(
+    private readonly cooldownMs: number,
+    private readonly now: () => number = Date.now
+  ) {}
+
+  get size(): number {
+    return this.keys.length;
+  }
+
+  fingerprints(): string[] {
+    return this.keys.map(keyFingerprint);
+  }
+
+  // Replaces the pool; keys that stay keep their cooldown. Rotation restarts only when something changed.
+  setKeys(next: string[]): { added: string[]; removed: string[] } {
+    const added = next.filter((k) => !this.keys.includes(k));
+    const removed = this.keys.filter((k) => !next.includes(k));
+    if (added.length === 0 && removed.length === 0) return { added, removed };
+    for (const key of removed) this.cooldownUntil.delete(key);
+    this.keys = [...next];
+    this.cursor = 0;
+    return { added, removed };
+  }
+
+  /**
+   * Next key in rotation, skipping keys in cooldown. When every key is cooling down, the one that
+   * recovers first is used (the retry loop backs off anyway).
+   */
+  next(): string {
+    if (this.keys.length === 0) throw new Error('No Gemini API keys configured');
+    const now = this.now();
+    for (let i = 0; i < this.keys.length; i++) {
+      const key = this.keys[(this.cursor + i) % this.keys.length];
+      if ((this.cooldownUntil.get(key) ?? 0) <= now) {
+        this.cursor = (this.cursor + i + 1) % this.keys.length;
+        return key;
+      }
+    }
+    return this.keys.reduce((best, key) => ((this.cooldownUntil.get(key) ?? 0) < (this.cooldownUntil.get(best) ?? 0) ? key : best));
+  }
+
+  // Returns how many keys are still available; keys no longer in the pool are ignored.
+  coolDown(key: string): number {
+    const now = this.now();
+    if (this.keys.includes(key)) this.cooldownUntil.set(key, now + this.cooldownMs);
+    return this.keys.filter((k) => (this.cooldownUntil.get(k) ?? 0) <= now).length;
+  }
+}
+
+function parseKeyList(raw: string, separator: RegExp): string[] {
+  return raw.split(separator).map((k) => k.trim()).filter((k) => k.length > 0 && !k.startsWith('#'));
+}
+
+function readKeysFile(file: string): string[] {
+  try {
+    return parseKeyList(readFileSync(file, 'utf8'), /\r?\n/);
+  } catch (err: any) {
+    console.error(`[gemini] could not read GEMINI_API_KEYS_FILE: ${err?.message ?? err}`);
+    return [];
+  }
+}
+
+function loadKeys(): string[] {
+  const all = [
+    ...(env.GEMINI_API_KEY ? [env.GEMINI_API_KEY] : []),
+    ...parseKeyList(env.GEMINI_API_KEYS, /,/),
+    ...(env.GEMINI_API_KEYS_FILE ? readKeysFile(path.resolve(process.cwd(), env.GEMINI_API_KEYS_FILE)) : [])
+  ];
+  return [...new Set(all)];
+}
+
+const pool = new GeminiKeyPool(env.GEMINI_KEY_COOLDOWN_MS);
+pool.setKeys(loadKeys());
+
+if (env.GEMINI_API_KEYS_FILE) {
+  const file = path.resolve(process.cwd(), env.GEMINI_API_KEYS_FILE);
+  watchFile(file, { interval: FILE_POLL_MS, persistent: false }, () => {
+    const { added, removed } = pool.setKeys(loadKeys());
+    if (added.length === 0 && removed.length === 0) return;
+    console.log(`[gemini] key pool reloaded: added=[${added.map(keyFingerprint).join(',')}] removed=[${removed.map(keyFingerprint).join(',')}]`);
+  });
+}
+
+export function geminiKeyFingerprints(): string[] {
+  return pool.fingerprints();
+}
+
+export function nextGeminiKey(): string {
+  return pool.next();
+}
+
+// Returns how many keys are still available.
+export function coolDownGeminiKey(key: string): number {
+  const available = pool.coolDown(key);
+  console.warn(`[gemini] key ${keyFingerprint(key)} hit quota; cooling down ${env.GEMINI_KEY_COOLDOWN_MS}ms (${available}/${pool.size} keys available)`);
+  return available;
+}
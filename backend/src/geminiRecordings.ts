@@ -0,0 +1,65 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { env } from './env.js';
+
+/**
+ * Record/replay of Gemini traffic (GEMINI_RECORD_MODE).
+ *
+ * `record` saves each successful generateContent exchange to GEMINI_RECORDINGS_DIR as
+ * `<sha256 of model + request body>.json`; `replay` answers from those files and never touches the
+ * network, so a recorded session (a bug report, a regression run) reproduces byte for byte as
+ * long as the prompts, input lines and models are unchanged. The model is part of the key because
+ * a fallback chain sends the same body to several models.
+ */
+
+export type GeminiRecording = {
+  model: string;
+  recordedAt: string;
+  request: unknown;
+  response: unknown;
+};
+
+export class MissingRecordingError extends Error {
+  constructor(readonly key: string) {
+    super(`No Gemini recording for request ${key} in ${env.GEMINI_RECORDINGS_DIR}`);
+    this.name = 'MissingRecordingError';
+  }
+}
+
+export function recordingKey(model: string, bodyJson: string): string {
+  return createHash('sha256').update(`${model}\n${bodyJson}`, 'utf8').digest('hex');
+}
+
+function recordingPath(key: string): string {
+  return path.resolve(process.cwd(), env.GEMINI_RECORDINGS_DIR, `${key}.json`);
+}
+
+export async function readRecording(bodyJson: string, model: string): Promise<GeminiRecording> {
+  const key = recordingKey(model, bodyJson);
+  let raw: string;
+  try {
+    raw = await readFile(recordingPath(key), 'utf8');
+  } catch (err: any) {
+    if (err?.code === 'ENOENT') throw new MissingRecordingError(key);
+    throw err;
+  }
+  return JSON.parse(raw) as GeminiRecording;
+}
+
+export async function writeRecording(bodyJson: string, model: string, response: unknown): Promise<string> {
+  const key = recordingKey(model, bodyJson);
+  const file = recordingPath(key);
+  const recording: GeminiRecording = {
+    model,
+    recordedAt: new Date().toISOString(),
+    request: JSON.parse(bodyJson),
+    response
+  };
+  await mkdir(path.dirname(file), { recursive: true });
+  // Write-then-rename so a concurrent replay never sees a half-written file.
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, `${JSON.stringify(recording, null, 2)}\n`, 'utf8');
+  await rename(tmp, file);
+  return key;
+}
@@ -16,6 +16,14 @@ type Waiter = {
   cleanup: () => void;
 };
 
+type Subscription = {
+  userId: string;
+  sinceMs: number;
+  limit: number;
+  onChanges: (changes: JobChange[]) => void;
+  onError: (err: unknown) => void;
+};
+
 type UserBuffer = {
   jobIds: Set<string>;
   flushTimer?: NodeJS.Timeout;
@@ -23,6 +31,7 @@ type UserBuffer = {
 
 export class JobEventBroker {
   private waitersByUser = new Map<string, Set<Waiter>>();
+  private subscriptionsByUser = new Map<string, Set<Subscription>>();
   private buffersByUser = new Map<string, UserBuffer>();
 
   constructor(
@@ -51,6 +60,23 @@ export class JobEventBroker {
     set.add(waiter);
   }
 
+  // Unlike waiters, subscriptions stay registered after each delivery (used by SSE streams).
+  subscribe(subscription: Subscription): void {
+    let set = this.subscriptionsByUser.get(subscription.userId);
+    if (!set) {
+      set = new Set();
+      this.subscriptionsByUser.set(subscription.userId, set);
+    }
+    set.add(subscription);
+  }
+
+  unsubscribe(subscription: Subscription): void {
+    const set = this.subscriptionsByUser.get(subscription.userId);
+    if (!set) return;
+    set.delete(subscription);
+    if (set.size === 0) this.subscriptionsByUser.delete(subscription.userId);
+  }
+
   private bufferJobId(userId: string, jobId: string) {
     let buf = this.buffersByUser.get(userId);
     if (!buf) {
@@ -75,8 +101,9 @@ export class JobEventBroker {
     const jobIds = Array.from(buf.jobIds);
     buf.jobIds.clear();
 
-    const waiters = this.waitersByUser.get(userId);
-    if (!waiters || waiters.size === 0) return;
+    const waiters = this.waitersByUser.get(userId) ?? new Set<Waiter>();
+    const subscriptions = this.subscriptionsByUser.get(userId) ?? new Set<Subscription>();
+    if (waiters.size === 0 && subscriptions.size === 0) return;
 
     // Resolve all waiters, but respect each waiter's sinceMs/limit.
     for (const waiter of Array.from(waiters)) {
@@ -89,6 +116,15 @@ export class JobEventBroker {
         waiter.reject(err);
       }
     }
+
+    for (const subscription of Array.from(subscriptions)) {
+      try {
+        const changes = await this.fetchChangesForJobIds(userId, jobIds, subscription.sinceMs, subscription.limit);
+        if (changes.length > 0) subscription.onChanges(changes);
+      } catch (err) {
+        subscription.onError(err);
+      }
+    }
   }
 
   private parseUserIdFromChannel(channel: string): string | null {
@@ -6,6 +6,19 @@ export function jobResultKey(jobId: string) {
   return `job:${jobId}:result`;
 }
 
+export function jobInputKey(jobId: string) {
+  return `job:${jobId}:input`;
+}
+
+// Lines finished while the job is still running (hash, field `lyricsData:{songIndex}`)
+export function jobPartialKey(jobId: string) {
+  return `job:${jobId}:partial`;
+}
+
+export function jobCancelKey(jobId: string) {
+  return `job:${jobId}:cancel`;
+}
+
 export function jobsPendingKey(userId: string) {
   return `jobs:pending:${userId}`;
 }
@@ -17,3 +30,52 @@ export function jobsRecentKey(userId: string) {
 export function userJobEventsChannel(userId: string) {
   return `user:${userId}:job-events`;
 }
+
+export function idempotencyKey(userId: string, keyHash: string) {
+  return `idempotency:${userId}:${keyHash}`;
+}
+
+export function resultCacheKey(hash: string) {
+  return `cache:result:${hash}`;
+}
+
+export function resultCacheStatsKey() {
+  return 'cache:result:stats';
+}
+
+export function lineCacheKey(scope: string, lineHash: string) {
+  return `cache:line:${scope}:${lineHash}`;
+}
+
+export function lineCacheStatsKey() {
+  return 'cache:line:stats';
+}
+
+// Daily token/cost totals (UTC day, YYYY-MM-DD)
+export function usageUserKey(day: string, userId: string) {
+  return `usage:${day}:user:${userId}`;
+}
+
+export function usageGlobalKey(day: string) {
+  return `usage:${day}:global`;
+}
+
+// One hash per day; fields are `<promptVersion>:<counter>`
+export function usagePromptsKey(day: string) {
+  return `usage:${day}:prompts`;
+}
+
+// Set by workers while the daily budget is exhausted; value is the window end (ms)
+export function budgetExhaustedKey() {
+  return 'budget:exhausted';
+}
+
+// Present while the queue is paused because of the budget
+export function budgetPausedQueueKey() {
+  return 'budget:paused-queue';
+}
+
+// Shared token bucket per model and dimension (requests or tokens per minute)
+export function llmRateBucketKey(model: string, dimension: 'rpm' | 'tpm') {
+  return `ratelimit:llm:${model}:${dimension}`;
+}
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for lyrics line helpers (dedupe + expansion)
+ */
+
+import { dedupeLines, expandByIndex, linesFromLyrics, normalizeLine } from './lines.js';
+
+console.log('Running lines tests...');
+
+// Test line splitting drops blank lines and trailing whitespace
+try {
+  const lines = linesFromLyrics('\n夏が来た  \r\n\n  いなせだね\n');
+  if (lines.length !== 2) throw new Error(`Expected 2 lines, got ${lines.length}`);
+  if (lines[0] !== '夏が来た') throw new Error(`Unexpected first line: ${lines[0]}`);
+  if (lines[1] !== '  いなせだね') throw new Error(`Leading whitespace should be kept: ${lines[1]}`);
+  console.log('✅ linesFromLyrics test passed');
+} catch (error) {
+  console.error('❌ linesFromLyrics test failed:', error);
+  process.exit(1);
+}
+
+// Test normalization collapses whitespace differences
+try {
+  if (normalizeLine('  夏が  来た ') !== normalizeLine('夏が 来た')) throw new Error('Expected equal normalized lines');
+  console.log('✅ normalizeLine test passed');
+} catch (error) {
+  console.error('❌ normalizeLine test failed:', error);
+  process.exit(1);
+}
+
+// Test chorus repeats collapse to one input line and expand back to every index
+try {
+  const lines = ['夏が来た', 'いなせだね', '夏が来た', 'yeah', '夏が来た '];
+  const { unique, sourceIndex } = dedupeLines(lines);
+  if (unique.length !== 3) throw new Error(`Expected 3 unique lines, got ${unique.length}`);
+  if (sourceIndex.join(',') !== '0,1,0,2,0') throw new Error(`Unexpected sourceIndex: ${sourceIndex.join(',')}`);
+
+  const expanded = expandByIndex({ '0': 'summer', '1': 'dashing', '2': 'yeah' }, sourceIndex);
+  const expected = { '0': 'summer', '1': 'dashing', '2': 'summer', '3': 'yeah', '4': 'summer' };
+  if (JSON.stringify(expanded) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected expansion: ${JSON.stringify(expanded)}`);
+  }
+  console.log('✅ dedupe/expand test passed');
+} catch (error) {
+  console.error('❌ dedupe/expand test failed:', error);
+  process.exit(1);
+}
+
+// Test missing unique values stay missing for every repeat
+try {
+  const { sourceIndex } = dedupeLines(['a', 'b', 'a']);
+  const expanded = expandByIndex({ '1': 'B' }, sourceIndex);
+  if (JSON.stringify(expanded) !== JSON.stringify({ '1': 'B' })) {
+    throw new Error(`Unexpected expansion: ${JSON.stringify(expanded)}`);
+  }
+  console.log('✅ missing value expansion test passed');
+} catch (error) {
+  console.error('❌ missing value expansion test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All lines tests passed!');
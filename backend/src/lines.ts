@@ -0,0 +1,51 @@
+export function linesFromLyrics(lyrics: string): string[] {
+  return lyrics
+    .trim()
+    .split(/\r?\n/)
+    .map((l) => l.trimEnd())
+    .filter((l) => l.length > 0);
+}
+
+// Canonical form used for cache keys: same characters, same words, regardless of how it was typed.
+export function normalizeLine(line: string): string {
+  return line.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export type DedupedLines = {
+  unique: string[];
+  // sourceIndex[i] is the position in `unique` that song line i was collapsed into.
+  sourceIndex: number[];
+};
+
+/**
+ * Collapse repeated lines (choruses, refrains) so each distinct line is analyzed once.
+ */
+export function dedupeLines(lines: string[]): DedupedLines {
+  const unique: string[] = [];
+  const sourceIndex: number[] = [];
+  const seen = new Map<string, number>();
+  for (const line of lines) {
+    const key = normalizeLine(line);
+    let index = seen.get(key);
+    if (index === undefined) {
+      index = unique.length;
+      seen.set(key, index);
+      unique.push(line);
+    }
+    sourceIndex.push(index);
+  }
+  return { unique, sourceIndex };
+}
+
+/**
+ * Fan per-unique-line values back out to every song line index. Lines whose unique
+ * entry has no value are left out, same as if Gemini had skipped them.
+ */
+export function expandByIndex<T>(values: Record<string, T>, sourceIndex: number[]): Record<string, T> {
+  const expanded: Record<string, T> = {};
+  sourceIndex.forEach((uniqueIndex, i) => {
+    const value = values[uniqueIndex.toString()];
+    if (value !== undefined) expanded[i.toString()] = value;
+  });
+  return expanded;
+}
@@ -0,0 +1,193 @@
+import { env } from './env.js';
+import { renderPrompt } from './prompts.js';
+
+export type LlmCallOptions = {
+  signal?: AbortSignal;
+  // Prompt set to render (defaults to PROMPT_VERSION)
+  promptVersion?: string;
+  // Streaming: called with the output accumulated so far as it arrives (awaited before reading
+  // on). Starts over from the beginning if the call is retried. Providers that cannot stream
+  // call it once with the whole output.
+  onPartialText?: (textSoFar: string) => Promise<void>;
+};
+
+export type TokenUsage = {
+  promptTokens: number;
+  // Everything billed as output, including thinking tokens
+  outputTokens: number;
+};
+
+export type LlmCompletion = {
+  text: string;
+  // Absent when the backend did not report usage
+  usage?: TokenUsage;
+};
+
+/**
+ * A backend that can run the two pipeline stages. Inputs are the JSON line dictionaries the
+ * worker builds; outputs are the raw model text (parsed by the worker) and its token usage.
+ */
+export interface LlmProvider {
+  readonly name: string;
+  readonly model: string;
+  translate(inputJson: string, options?: LlmCallOptions): Promise<LlmCompletion>;
+  analyze(inputJson: string, lineCount: number, options?: LlmCallOptions): Promise<LlmCompletion>;
+  // Repair is part of the analysis stage: same provider, different prompt.
+  repair(inputJson: string, lineCount: number, options?: LlmCallOptions): Promise<LlmCompletion>;
+}
+
+export class LlmHttpError extends Error {
+  constructor(
+    readonly provider: string,
+    readonly status: number,
+    body: string
+  ) {
+    super(`${provider} error ${status}: ${body}`);
+    this.name = 'LlmHttpError';
+  }
+}
+
+// The model answered, but with nothing usable (empty or unparseable). Not retried; the worker may fall back to another model.
+export class LlmOutputError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LlmOutputError';
+  }
+}
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const MAX_ATTEMPTS = 4;
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `fn` up to 4 times, backing off on 429/5xx, timeouts and network errors.
+ * Aborts through `signal` (job cancellation) are never retried.
+ */
+export async function withRetries<T>(label: string, fn: (attempt: number) => Promise<T>, signal?: AbortSignal): Promise<T> {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await fn(attempt);
+    } catch (err: any) {
+      if (signal?.aborted || attempt >= MAX_ATTEMPTS) throw err;
+
+      let reason: string | null = null;
+      if (err instanceof LlmHttpError) {
+        if (RETRYABLE_STATUS.has(err.status)) reason = `status=${err.status}`;
+      } else if (err?.name === 'AbortError' || err?.name === 'TimeoutError') {
+        reason = 'reason=timeout';
+      } else if (typeof err?.message === 'string' && /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND/i.test(err.message)) {
+        reason = 'reason=network';
+      }
+      if (!reason) throw err;
+
+      const backoffMs = Math.min(10_000, 1_000 * Math.pow(2, attempt - 1)) + Math.floor(Math.random() * 250);
+      console.warn(`[${label}] retrying (attempt=${attempt}/${MAX_ATTEMPTS}) ${reason} backoffMs=${backoffMs}`);
+      await sleep(backoffMs);
+    }
+  }
+
+  throw new Error(`${label} call failed after retries`);
+}
+
+/**
+ * One POST with a per-attempt timeout. Non-2xx responses throw LlmHttpError.
+ */
+export async function postJson(label: string, url: string, headers: Record<string, string>, body: string, timeoutMs: number, signal?: AbortSignal): Promise<any> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'content-type': 'application/json' },
+      body,
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new LlmHttpError(label, res.status, text || res.statusText);
+    }
+    return await res.json();
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Like postJson, for a `text/event-stream` response: `onEvent` receives each `data:` payload,
+ * parsed, and is awaited before the next one is read. The timeout covers the whole stream.
+ */
+export async function postSse(
+  label: string,
+  url: string,
+  headers: Record<string, string>,
+  body: string,
+  timeoutMs: number,
+  signal: AbortSignal | undefined,
+  onEvent: (data: any) => Promise<void>
+): Promise<void> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'content-type': 'application/json', accept: 'text/event-stream' },
+      body,
+      signal: controller.signal
+    });
+    if (!res.ok || !res.body) {
+      const text = await res.text().catch(() => '');
+      throw new LlmHttpError(label, res.status, text || res.statusText);
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const flushEvent = async (event: string) => {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data.length > 0) await onEvent(JSON.parse(data));
+    };
+    for await (const chunk of res.body as unknown as AsyncIterable<Uint8Array>) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary: RegExpExecArray | null;
+      while ((boundary = /\r?\n\r?\n/.exec(buffer))) {
+        const event = buffer.slice(0, boundary.index);
+        buffer = buffer.slice(boundary.index + boundary[0].length);
+        await flushEvent(event);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim().length > 0) await flushEvent(buffer);
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+function promptVersion(options?: LlmCallOptions): string {
+  return options?.promptVersion ?? env.PROMPT_VERSION;
+}
+
+/**
+ * Build a provider from a function that sends one rendered prompt body and returns the completion.
+ */
+export function promptProvider(name: string, model: string, complete: (bodyJson: string, options?: LlmCallOptions) => Promise<LlmCompletion>): LlmProvider {
+  return {
+    name,
+    model,
+    translate: async (inputJson, options) => await complete(renderPrompt(promptVersion(options), 'translations', { INPUT_JSON: inputJson }), options),
+    analyze: async (inputJson, lineCount, options) => await complete(renderPrompt(promptVersion(options), 'lyricsData', { INPUT_JSON: inputJson, LINE_COUNT: lineCount }), options),
+    repair: async (inputJson, lineCount, options) => await complete(renderPrompt(promptVersion(options), 'lyricsRepair', { INPUT_JSON: inputJson, LINE_COUNT: lineCount }), options)
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for LLM rate limit parsing (the token buckets need Redis: scripts/llm-rate-limit.test.ts)
+ */
+
+// Imports are dynamic so the environment below is in place before env.ts reads it.
+export {};
+
+// env.ts validates these on import; parsing never touches them.
+process.env.API_JWT_SECRET ??= 'test-secret-32+chars--------------------';
+process.env.APPLE_AUDIENCE ??= 'me.kyzcwezsabuk.Uta';
+process.env.TARUKINGU ??= 'tarukingu';
+process.env.GEMINI_API_KEY ??= 'test';
+
+const { estimateTokens, parseRateLimits } = await import('./llmRateLimit.js');
+const { redis, redisPub, redisSub } = await import('./redis.js');
+
+console.log('Running LLM rate limit tests...');
+
+// Test entries parse per model, with whitespace and empty entries ignored
+try {
+  const limits = parseRateLimits(' gemini-3-flash-preview=1000/2000000 , gpt-4o-mini=0/150000,');
+  if (limits.size !== 2) throw new Error(`Expected 2 models, got ${limits.size}`);
+  const gemini = limits.get('gemini-3-flash-preview');
+  if (gemini?.rpm !== 1000 || gemini?.tpm !== 2000000) throw new Error(`Unexpected gemini limits: ${JSON.stringify(gemini)}`);
+  const openai = limits.get('gpt-4o-mini');
+  if (openai?.rpm !== 0 || openai?.tpm !== 150000) throw new Error(`Unexpected openai limits: ${JSON.stringify(openai)}`);
+  if (parseRateLimits('').size !== 0) throw new Error('Expected no limits for an empty spec');
+  console.log('✅ parseRateLimits test passed');
+} catch (error) {
+  console.error('❌ parseRateLimits test failed:', error);
+  process.exit(1);
+}
+
+// Test malformed entries are rejected instead of silently leaving a model unlimited
+try {
+  for (const spec of ['gemini=1000', 'gemini=1000/', 'gemini=-1/5', '=10/10', 'gemini=1.5/10']) {
+    let threw = false;
+    try {
+      parseRateLimits(spec);
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error(`Expected "${spec}" to be rejected`);
+  }
+  console.log('✅ parseRateLimits rejection test passed');
+} catch (error) {
+  console.error('❌ parseRateLimits rejection test failed:', error);
+  process.exit(1);
+}
+
+// Test the prompt estimate rounds up (~4 chars per token)
+try {
+  if (estimateTokens('') !== 0) throw new Error('Expected 0 tokens for an empty body');
+  if (estimateTokens('abcde') !== 2) throw new Error(`Expected 2 tokens, got ${estimateTokens('abcde')}`);
+  console.log('✅ estimateTokens test passed');
+} catch (error) {
+  console.error('❌ estimateTokens test failed:', error);
+  process.exit(1);
+}
+
+for (const client of [redis, redisPub, redisSub]) client.disconnect();
+console.log('\n✅ All LLM rate limit tests passed!');
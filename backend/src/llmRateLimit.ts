@@ -0,0 +1,136 @@
+import { env } from './env.js';
+import { redis } from './redis.js';
+import { llmRateBucketKey } from './keys.js';
+
+/**
+ * Fleet-wide request/token rate limits per model (LLM_RATE_LIMITS), as Redis token buckets shared
+ * by every worker process. Calls wait for capacity instead of running into 429s.
+ *
+ * Output size is unknown up front, so a call reserves an estimate of its tokens and `settle`
+ * charges the difference once the response reports its usage (buckets may go negative, which
+ * simply makes later callers wait longer).
+ */
+
+type ModelLimits = { rpm: number; tpm: number };
+
+const WINDOW_MS = 60_000;
+// Longest single sleep, so waiters notice cancellation and freed capacity promptly
+const MAX_WAIT_SLICE_MS = 5_000;
+
+// Refills both buckets for the elapsed time (Redis clock, so worker clock skew does not matter),
+// then takes ARGV[3] requests / ARGV[4] tokens if both have enough (or unconditionally when ARGV[5]
+// is 1, for settling; a negative amount refunds, never past capacity). Returns 0 when taken,
+// otherwise the ms until there would be enough. A capacity of 0 means unlimited.
+const TAKE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local caps = { tonumber(ARGV[1]), tonumber(ARGV[2]) }
+local wants = { tonumber(ARGV[3]), tonumber(ARGV[4]) }
+local force = tonumber(ARGV[5]) == 1
+local levels = {}
+local wait = 0
+for i = 1, 2 do
+  if caps[i] > 0 then
+    local state = redis.call('HMGET', KEYS[i], 'level', 'ts')
+    local level = tonumber(state[1]) or caps[i]
+    local ts = tonumber(state[2]) or now
+    level = math.min(caps[i], level + math.max(0, now - ts) * caps[i] / ${WINDOW_MS})
+    levels[i] = level
+    local want = math.min(wants[i], caps[i])
+    if want > 0 and level < want then
+      wait = math.max(wait, math.ceil((want - level) * ${WINDOW_MS} / caps[i]))
+    end
+  end
+end
+for i = 1, 2 do
+  if caps[i] > 0 then
+    local level = levels[i]
+    if wait == 0 or force then level = math.min(caps[i], level - math.min(wants[i], caps[i])) end
+    redis.call('HSET', KEYS[i], 'level', level, 'ts', now)
+    redis.call('PEXPIRE', KEYS[i], ${WINDOW_MS * 2})
+  end
+end
+if force then return 0 end
+return wait
+`;
+
+// LLM_RATE_LIMITS: `model=rpm/tpm`, comma separated; 0 leaves that dimension unlimited.
+export function parseRateLimits(spec: string): Map<string, ModelLimits> {
+  const limits = new Map<string, ModelLimits>();
+  for (const entry of spec.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const m = /^([^=]+)=(\d+)\/(\d+)$/.exec(entry);
+    if (!m) throw new Error(`Invalid LLM_RATE_LIMITS entry: "${entry}"`);
+    limits.set(m[1].trim(), { rpm: Number(m[2]), tpm: Number(m[3]) });
+  }
+  return limits;
+}
+
+const limits = parseRateLimits(env.LLM_RATE_LIMITS);
+
+// Prompt-side estimate for the reservation (~4 chars per token); the response settles the rest.
+export function estimateTokens(body: string): number {
+  return Math.ceil(body.length / 4);
+}
+
+async function take(model: string, modelLimits: ModelLimits, requests: number, tokens: number, force = false): Promise<number> {
+  const result = await redis.eval(
+    TAKE_SCRIPT,
+    2,
+    llmRateBucketKey(model, 'rpm'),
+    llmRateBucketKey(model, 'tpm'),
+    modelLimits.rpm,
+    modelLimits.tpm,
+    requests,
+    tokens,
+    force ? 1 : 0
+  );
+  return Number(result);
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait until `model` has room for one request of about `tokens` tokens, then reserve it.
+ * Models without configured limits return immediately.
+ */
+export async function acquireCapacity(label: string, model: string, tokens: number, signal?: AbortSignal): Promise<void> {
+  const modelLimits = limits.get(model);
+  if (!modelLimits) return;
+  let waitedMs = 0;
+  for (;;) {
+    signal?.throwIfAborted();
+    const waitMs = await take(model, modelLimits, 1, tokens);
+    if (waitMs === 0) break;
+    if (waitedMs === 0) console.log(`[${label}] rate limit reached for model=${model}; waiting ${waitMs}ms`);
+    const slice = Math.min(waitMs, MAX_WAIT_SLICE_MS) + Math.floor(Math.random() * 100);
+    await sleep(slice, signal);
+    waitedMs += slice;
+  }
+  if (waitedMs > 0) console.log(`[${label}] acquired capacity for model=${model} after ${waitedMs}ms`);
+}
+
+// Charge (or refund) the difference between the reserved estimate and the reported usage.
+export async function settleCapacity(model: string, reservedTokens: number, actualTokens: number): Promise<void> {
+  const modelLimits = limits.get(model);
+  if (!modelLimits || modelLimits.tpm === 0 || actualTokens === reservedTokens) return;
+  await take(model, modelLimits, 0, actualTokens - reservedTokens, true);
+}
+
+// The API said 429 anyway (other clients, stale limits): take a minute's worth of requests so the fleet backs off.
+export async function drainCapacity(model: string): Promise<void> {
+  const modelLimits = limits.get(model);
+  if (!modelLimits || modelLimits.rpm === 0) return;
+  await take(model, { rpm: modelLimits.rpm, tpm: 0 }, modelLimits.rpm, 0, true);
+}
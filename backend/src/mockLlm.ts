@@ -0,0 +1,153 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { setTimeout as delay } from 'node:timers/promises';
+import path from 'node:path';
+import { env } from './env.js';
+import { LlmHttpError, withRetries } from './llm.js';
+import type { LlmCallOptions, LlmCompletion, LlmProvider } from './llm.js';
+import { normalizeLine } from './lines.js';
+
+/**
+ * Deterministic offline provider (ANALYSIS_PROVIDER / TRANSLATION_PROVIDER = mock).
+ *
+ * Answers come from fixture files (MOCK_LLM_FIXTURES_DIR/*.json, shape `{ "lines": { "<line>":
+ * { "translation", "compact" } } }`); lines without a fixture get a stable placeholder.
+ *
+ * MOCK_LLM_FAULTS scripts failures, consumed in order per method, e.g.
+ * `translate:429*2,analyze:timeout,analyze:truncate,repair:malformed`:
+ * - a status code (429, 500, 503...) throws the same HTTP error the real providers throw
+ * - `timeout` throws like a fetch whose per-attempt timeout fired
+ * - `truncate` drops the second half of the output lines
+ * - `malformed` makes the first output line fail compact-format validation
+ * HTTP and timeout faults go through the shared retry loop, so `*4` exhausts it.
+ *
+ * MOCK_LLM_DELAY_MS makes every call take that long (aborted like a real request on cancel).
+ */
+
+type FixtureLine = { translation?: string; compact?: string };
+type Method = 'translate' | 'analyze' | 'repair';
+type Fault = { kind: 'status'; status: number } | { kind: 'timeout' } | { kind: 'truncate' } | { kind: 'malformed' };
+
+let fixturesPromise: Promise<Map<string, FixtureLine>> | null = null;
+
+async function loadFixtures(): Promise<Map<string, FixtureLine>> {
+  const dir = path.resolve(process.cwd(), env.MOCK_LLM_FIXTURES_DIR);
+  const fixtures = new Map<string, FixtureLine>();
+  const files = (await readdir(dir).catch(() => [] as string[])).filter((f) => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const parsed = JSON.parse(await readFile(path.join(dir, file), 'utf8')) as { lines?: Record<string, FixtureLine> };
+    for (const [line, value] of Object.entries(parsed.lines ?? {})) fixtures.set(normalizeLine(line), value);
+  }
+  return fixtures;
+}
+
+function fixtures(): Promise<Map<string, FixtureLine>> {
+  fixturesPromise ??= loadFixtures();
+  return fixturesPromise;
+}
+
+export function parseFaultSpec(spec: string): Map<Method, Fault[]> {
+  const faults = new Map<Method, Fault[]>();
+  for (const entry of spec.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const m = /^(translate|analyze|repair):([a-z0-9]+)(?:\*(\d+))?$/.exec(entry);
+    if (!m) throw new Error(`Invalid MOCK_LLM_FAULTS entry: "${entry}"`);
+    const [, method, name, times] = m;
+    let fault: Fault;
+    if (/^\d{3}$/.test(name)) fault = { kind: 'status', status: Number(name) };
+    else if (name === 'timeout' || name === 'truncate' || name === 'malformed') fault = { kind: name };
+    else throw new Error(`Unknown MOCK_LLM_FAULTS fault: "${name}"`);
+    const list = faults.get(method as Method) ?? [];
+    for (let i = 0; i < Number(times ?? 1); i++) list.push(fault);
+    faults.set(method as Method, list);
+  }
+  return faults;
+}
+
+const pendingFaults = parseFaultSpec(env.MOCK_LLM_FAULTS);
+
+function nextFault(method: Method): Fault | undefined {
+  return pendingFaults.get(method)?.shift();
+}
+
+// Placeholder analysis: every whitespace-separated token as a reading-less word.
+function fallbackCompact(line: string): string {
+  const words = line.replace(/[|_]/g, ' ').split(/\s+/).filter(Boolean);
+  return words.length > 0 ? words.map((w) => `${w}||`).join('_') : '-||';
+}
+
+// Breaks validation without changing the line's Word components (so alignment still matches it).
+function malform(compact: string): string {
+  const corrupted = compact.replace(/\|[01]+(?=_|$|\|)/, '|0a1');
+  return corrupted !== compact ? corrupted : `${compact}_|`;
+}
+
+async function compactFor(line: string): Promise<string> {
+  return (await fixtures()).get(normalizeLine(line))?.compact ?? fallbackCompact(line);
+}
+
+function renderLyricsData(compactLines: string[]): string {
+  if (env.USE_COMPACT_FORMAT) return compactLines.join('\n');
+  // JSON format: one word per line carrying the whole line, enough for the parser.
+  const dict: Record<string, unknown> = {};
+  compactLines.forEach((compact, i) => {
+    dict[i] = { words: [{ kanji: null, furigana: compact.split('|')[0], mora: [] }] };
+  });
+  return JSON.stringify(dict);
+}
+
+// Rough chars/4 estimate, so usage accounting has something deterministic to count.
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+async function respond(method: Method, inputJson: string, build: () => Promise<string[]>, render: (lines: string[]) => string, options?: LlmCallOptions): Promise<LlmCompletion> {
+  return await withRetries('mock', async () => {
+    if (env.MOCK_LLM_DELAY_MS > 0) await delay(env.MOCK_LLM_DELAY_MS, undefined, { signal: options?.signal });
+    const fault = nextFault(method);
+    if (fault?.kind === 'status') throw new LlmHttpError('Mock', fault.status, 'scripted failure');
+    if (fault?.kind === 'timeout') {
+      const err = new Error('scripted timeout');
+      err.name = 'TimeoutError';
+      throw err;
+    }
+
+    let lines = await build();
+    if (fault?.kind === 'truncate') lines = lines.slice(0, Math.ceil(lines.length / 2));
+    if (fault?.kind === 'malformed' && lines.length > 0) lines = [malform(lines[0]), ...lines.slice(1)];
+    const text = render(lines);
+    if (options?.onPartialText) {
+      // Stream line by line, like a model emitting compact lines
+      const pieces = text.split('\n');
+      for (let i = 0; i < pieces.length; i++) await options.onPartialText(pieces.slice(0, i + 1).join('\n') + (i < pieces.length - 1 ? '\n' : ''));
+    }
+    return { text, usage: { promptTokens: estimateTokens(inputJson), outputTokens: estimateTokens(text) } };
+  }, options?.signal);
+}
+
+export function createMockProvider(model: string = 'mock-1'): LlmProvider {
+  return {
+    name: 'mock',
+    model,
+    translate: async (inputJson, options) => {
+      const input = JSON.parse(inputJson) as Record<string, string>;
+      const keys = Object.keys(input);
+      return await respond('translate', inputJson, async () => {
+        const table = await fixtures();
+        return keys.map((k) => table.get(normalizeLine(input[k]))?.translation ?? `[mock] ${input[k]}`);
+      }, (translations) => {
+        const out: Record<string, string> = {};
+        translations.forEach((t, i) => {
+          out[keys[i]] = t;
+        });
+        return JSON.stringify(out);
+      }, options);
+    },
+    analyze: async (inputJson, _lineCount, options) => {
+      const input = JSON.parse(inputJson) as Record<string, string>;
+      return await respond('analyze', inputJson, async () => await Promise.all(Object.values(input).map(compactFor)), renderLyricsData, options);
+    },
+    repair: async (inputJson, _lineCount, options) => {
+      const input = JSON.parse(inputJson) as Record<string, { line: string }>;
+      return await respond('repair', inputJson, async () => await Promise.all(Object.values(input).map((v) => compactFor(v.line))), (lines) => lines.join('\n'), options);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+import { env } from './env.js';
+import { LlmOutputError, postJson, promptProvider, withRetries } from './llm.js';
+import type { LlmCompletion, LlmProvider } from './llm.js';
+
+/**
+ * OpenAI-compatible chat completions (OpenAI itself, or self-hosted servers such as vLLM,
+ * Ollama or llama.cpp that expose /v1/chat/completions).
+ */
+
+type GeminiPart = { text?: string };
+type GeminiPromptBody = {
+  system_instruction?: { parts?: GeminiPart[] };
+  contents?: { role?: string; parts?: GeminiPart[] }[];
+  generationConfig?: { temperature?: number; responseMimeType?: string };
+};
+
+function joinParts(parts: GeminiPart[] | undefined): string {
+  return (parts ?? []).map((p) => p.text ?? '').join('\n');
+}
+
+// Our prompt files are Gemini request bodies; map them onto the chat completions shape.
+function toChatCompletionRequest(bodyJson: string, model: string) {
+  const body = JSON.parse(bodyJson) as GeminiPromptBody;
+  const system = joinParts(body.system_instruction?.parts);
+  const messages = [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...(body.contents ?? []).map((c) => ({
+      role: c.role === 'model' ? 'assistant' : 'user',
+      content: joinParts(c.parts)
+    }))
+  ];
+  const config = body.generationConfig ?? {};
+  return {
+    model,
+    messages,
+    ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+    ...(config.responseMimeType === 'application/json' ? { response_format: { type: 'json_object' } } : {})
+  };
+}
+
+async function callChatCompletions(bodyJson: string, model: string, signal?: AbortSignal): Promise<LlmCompletion> {
+  const url = `${env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+  const request = JSON.stringify(toChatCompletionRequest(bodyJson, model));
+  const headers: Record<string, string> = env.OPENAI_API_KEY ? { authorization: `Bearer ${env.OPENAI_API_KEY}` } : {};
+
+  return await withRetries('openai', async () => {
+    const data = await postJson('OpenAI', url, headers, request, env.OPENAI_TIMEOUT_MS, signal);
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new LlmOutputError('OpenAI-compatible endpoint returned empty response');
+    }
+    const usage = data?.usage
+      ? { promptTokens: Number(data.usage.prompt_tokens ?? 0), outputTokens: Number(data.usage.completion_tokens ?? 0) }
+      : undefined;
+    return { text, usage };
+  }, signal);
+}
+
+export function createOpenAIProvider(model: string = env.OPENAI_MODEL): LlmProvider {
+  return promptProvider('openai', model, async (bodyJson, options) => {
+    const result = await callChatCompletions(bodyJson, model, options?.signal);
+    await options?.onPartialText?.(result.text);
+    return result;
+  });
+}
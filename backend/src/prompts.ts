@@ -0,0 +1,109 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { env } from './env.js';
+import { compileTemplate } from './template.js';
+import type { Template, TemplateValues } from './template.js';
+
+// Prompt bodies are stored as Gemini generateContent requests; other providers translate them.
+// `variables` are the placeholders each file must contain (and the only ones it may contain).
+export const PROMPTS = {
+  translations: { file: 'GeminiTranslationsBody.json', variables: ['INPUT_JSON'] },
+  lyricsData: { file: 'GeminiLyricsDataBody.json', variables: ['INPUT_JSON', 'LINE_COUNT'] },
+  lyricsRepair: { file: 'GeminiLyricsRepairBody.json', variables: ['INPUT_JSON', 'LINE_COUNT'] }
+} as const;
+
+export type PromptName = keyof typeof PROMPTS;
+export type PromptVariables<N extends PromptName> = TemplateValues<(typeof PROMPTS)[N]['variables'][number]>;
+
+/**
+ * One versioned prompt set: `prompts/<version>/` holding every file in PROMPTS.
+ * Published versions are immutable; prompt changes go into a new directory.
+ */
+export type PromptSet = {
+  version: string;
+  // `<version>@<content hash>`: cache identity, so an in-place edit still invalidates caches.
+  id: string;
+  templates: { [N in PromptName]: Template<(typeof PROMPTS)[N]['variables'][number]> };
+};
+
+type Cohort = { version: string; percent: number };
+
+let promptSets: Map<string, PromptSet> | null = null;
+let cohorts: Cohort[] = [];
+
+async function loadPromptSet(dir: string, version: string): Promise<PromptSet> {
+  const hash = createHash('sha256');
+  const templates = {} as Record<PromptName, Template<string>>;
+  for (const [name, prompt] of Object.entries(PROMPTS) as [PromptName, (typeof PROMPTS)[PromptName]][]) {
+    const source = await readFile(path.join(dir, prompt.file), 'utf8');
+    hash.update(source, 'utf8');
+    templates[name] = compileTemplate(`Prompt ${version}/${prompt.file}`, source, prompt.variables);
+  }
+  return { version, id: `${version}@${hash.digest('hex').slice(0, 12)}`, templates: templates as PromptSet['templates'] };
+}
+
+// PROMPT_COHORTS: `v2:10,v3:5` sends 10% of users to v2 and 5% to v3; everyone else gets PROMPT_VERSION.
+export function parseCohorts(spec: string): Cohort[] {
+  const parsed: Cohort[] = [];
+  for (const entry of spec.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const m = /^([A-Za-z0-9._-]+):(\d+)$/.exec(entry);
+    if (!m) throw new Error(`Invalid PROMPT_COHORTS entry: "${entry}"`);
+    parsed.push({ version: m[1], percent: Number(m[2]) });
+  }
+  const total = parsed.reduce((sum, c) => sum + c.percent, 0);
+  if (total > 100) throw new Error(`PROMPT_COHORTS adds up to ${total}%`);
+  return parsed;
+}
+
+/**
+ * Read and check every prompt set once at startup. Fails if a set is incomplete, a file is not valid
+ * JSON or its placeholders differ from the declared variables, or if
+ * PROMPT_VERSION / PROMPT_COHORTS name a version that does not exist.
+ */
+export async function loadPromptSets(): Promise<void> {
+  const root = path.join(process.cwd(), 'prompts');
+  const entries = await readdir(root, { withFileTypes: true });
+  const sets = new Map<string, PromptSet>();
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    sets.set(entry.name, await loadPromptSet(path.join(root, entry.name), entry.name));
+  }
+
+  const parsedCohorts = parseCohorts(env.PROMPT_COHORTS);
+  for (const version of [env.PROMPT_VERSION, ...parsedCohorts.map((c) => c.version)]) {
+    if (!sets.has(version)) throw new Error(`Unknown prompt version "${version}" (available: ${[...sets.keys()].join(', ')})`);
+  }
+  promptSets = sets;
+  cohorts = parsedCohorts;
+}
+
+export function promptSet(version: string = env.PROMPT_VERSION): PromptSet {
+  if (!promptSets) throw new Error('Prompt sets not loaded; call loadPromptSets() at startup');
+  const set = promptSets.get(version);
+  if (!set) throw new Error(`Unknown prompt version "${version}"`);
+  return set;
+}
+
+export function loadedPromptVersions(): string[] {
+  return promptSets ? [...promptSets.keys()] : [];
+}
+
+// Stable per user, so a user stays in the same cohort across jobs.
+function cohortBucket(userId: string): number {
+  return parseInt(createHash('sha256').update(userId, 'utf8').digest('hex').slice(0, 8), 16) % 100;
+}
+
+export function selectPromptVersion(userId: string): string {
+  const bucket = cohortBucket(userId);
+  let upper = 0;
+  for (const cohort of cohorts) {
+    upper += cohort.percent;
+    if (bucket < upper) return cohort.version;
+  }
+  return env.PROMPT_VERSION;
+}
+
+export function renderPrompt<N extends PromptName>(version: string, name: N, values: PromptVariables<N>): string {
+  const template = promptSet(version).templates[name] as Template<string>;
+  return template.render(values);
+}
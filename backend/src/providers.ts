@@ -0,0 +1,71 @@
+import { env } from './env.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mockLlm.js';
+import type { LlmProvider } from './llm.js';
+
+export type ProviderKind = 'gemini' | 'openai' | 'mock';
+
+// `a,b,c` -> ['a', 'b', 'c']
+export function parseModelList(spec: string): string[] {
+  return spec.split(',').map((m) => m.trim()).filter(Boolean);
+}
+
+function defaultModels(kind: ProviderKind): string[] {
+  switch (kind) {
+    case 'gemini':
+      return parseModelList(env.GEMINI_MODEL);
+    case 'openai':
+      return parseModelList(env.OPENAI_MODEL);
+    case 'mock':
+      return ['mock-1'];
+  }
+}
+
+function createProvider(kind: ProviderKind, model: string): LlmProvider {
+  switch (kind) {
+    case 'gemini':
+      return createGeminiProvider(model);
+    case 'openai':
+      return createOpenAIProvider(model);
+    case 'mock':
+      return createMockProvider(model);
+  }
+}
+
+// One provider per model of the stage's fallback chain, primary first.
+function createProviderChain(kind: ProviderKind, modelSpec?: string): LlmProvider[] {
+  const models = modelSpec ? parseModelList(modelSpec) : defaultModels(kind);
+  if (models.length === 0) throw new Error(`No models configured for provider ${kind}`);
+  return models.map((model) => createProvider(kind, model));
+}
+
+// Each stage can run on its own backend/models (see TRANSLATION_PROVIDER / ANALYSIS_PROVIDER).
+export const translationProviders = createProviderChain(env.TRANSLATION_PROVIDER, env.TRANSLATION_MODEL);
+export const analysisProviders = createProviderChain(env.ANALYSIS_PROVIDER, env.ANALYSIS_MODEL);
+export const translationProvider = translationProviders[0];
+export const analysisProvider = analysisProviders[0];
+
+export function providerLabel(provider: LlmProvider): string {
+  return `${provider.name}:${provider.model}`;
+}
+
+// `provider:model` of each stage's primary model.
+export function stageModels(): { translations: string; lyricsData: string } {
+  return {
+    translations: providerLabel(translationProvider),
+    lyricsData: providerLabel(analysisProvider)
+  };
+}
+
+// Stable description of the providers/models in use, for cache keys and logs. Only primaries count:
+// fallbacks stand in for them, so switching fallbacks keeps the caches.
+export function providerSignature(): string {
+  const models = stageModels();
+  return `translations=${models.translations} lyricsData=${models.lyricsData}`;
+}
+
+// Full chains, for startup logs.
+export function providerChains(): string {
+  return `translations=${translationProviders.map(providerLabel).join('>')} lyricsData=${analysisProviders.map(providerLabel).join('>')}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for compact line reconciliation
+ */
+
+import { alignCompactLines, missingIndices } from './reconcile.js';
+
+console.log('Running reconcile tests...');
+
+// Test equal counts are aligned by position
+try {
+  const aligned = alignCompactLines(['夏が来た', 'いなせだね'], ['夏|なつ|01_が|が|0_来た|きた|01', 'いなせ|いなせ|011_だね|だね|10']);
+  if (aligned.length !== 2 || !aligned[0] || !aligned[1]) throw new Error(`Unexpected alignment: ${JSON.stringify(aligned)}`);
+  console.log('✅ Positional alignment test passed');
+} catch (error) {
+  console.error('❌ Positional alignment test failed:', error);
+  process.exit(1);
+}
+
+// Test a dropped middle line is detected by content
+try {
+  const input = ['夏が来た', 'いなせだね', '東京に行く'];
+  const output = ['夏|なつ|01_が|が|0_来た|きた|01', '東京|とうきょう|0111_に|に|0_行く|いく|01'];
+  const aligned = alignCompactLines(input, output);
+  if (aligned[0] !== output[0]) throw new Error('Expected line 0 to match');
+  if (aligned[1] !== undefined) throw new Error('Expected line 1 to be missing');
+  if (aligned[2] !== output[1]) throw new Error('Expected line 2 to match');
+  console.log('✅ Dropped line alignment test passed');
+} catch (error) {
+  console.error('❌ Dropped line alignment test failed:', error);
+  process.exit(1);
+}
+
+// Test punctuation, spacing and English words don't break matching
+try {
+  const input = ['Raise で また会おう、yeah!', 'いなせだね'];
+  const output = ['Raise||_で|で|0_また|また|01_会おう|あおう|011_yeah!||'];
+  const aligned = alignCompactLines(input, output);
+  if (aligned[0] !== output[0]) throw new Error(`Expected line 0 to match: ${JSON.stringify(aligned)}`);
+  if (aligned[1] !== undefined) throw new Error('Expected line 1 to be missing');
+  console.log('✅ Punctuation-insensitive alignment test passed');
+} catch (error) {
+  console.error('❌ Punctuation-insensitive alignment test failed:', error);
+  process.exit(1);
+}
+
+// Test unmatched output lines are discarded rather than guessed
+try {
+  const aligned = alignCompactLines(['夏が来た', 'いなせだね'], ['全然|ぜんぜん|0111']);
+  if (aligned.some((l) => l !== undefined)) throw new Error(`Expected no matches: ${JSON.stringify(aligned)}`);
+  console.log('✅ Unmatched output test passed');
+} catch (error) {
+  console.error('❌ Unmatched output test failed:', error);
+  process.exit(1);
+}
+
+// Test missing index detection
+try {
+  const missing = missingIndices([0, 1, 2, 5], { '0': 'a', '2': '', '5': 'b' }, (v) => typeof v === 'string' && v.length > 0);
+  if (missing.join(',') !== '1,2') throw new Error(`Unexpected missing indices: ${missing.join(',')}`);
+  console.log('✅ Missing index test passed');
+} catch (error) {
+  console.error('❌ Missing index test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All reconcile tests passed!');
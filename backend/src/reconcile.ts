@@ -0,0 +1,55 @@
+/**
+ * Line reconciliation
+ *
+ * Compact-format output is positional (one line per input line, no indices), so when Gemini
+ * drops or merges lines we have to work out which input each output line belongs to before
+ * the gaps can be re-requested.
+ */
+
+// Letters and digits only, so punctuation/spacing differences between input and Word components don't matter.
+function surfaceKey(text: string): string {
+  return text.normalize('NFKC').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+// The Word components of a compact line, joined back into the surface text of the lyric.
+function compactSurface(compactLine: string): string {
+  return compactLine
+    .split('_')
+    .map((segment) => segment.split('|')[0] ?? '')
+    .join('');
+}
+
+/**
+ * Assign compact output lines to input lines.
+ * @param inputLines - Lines that were sent to Gemini, in prompt order
+ * @param outputLines - Non-empty compact lines Gemini returned, in order
+ * @returns One entry per input line; undefined where no output line could be matched
+ */
+export function alignCompactLines(inputLines: string[], outputLines: string[]): (string | undefined)[] {
+  // Same count: trust the order, as the prompt asks for one line per input line.
+  if (outputLines.length === inputLines.length) return [...outputLines];
+
+  const inputKeys = inputLines.map(surfaceKey);
+  const aligned: (string | undefined)[] = inputLines.map(() => undefined);
+  let cursor = 0;
+  for (const output of outputLines) {
+    const key = surfaceKey(compactSurface(output));
+    if (!key) continue;
+    // Greedy forward match: skipped inputs in between are the ones Gemini dropped.
+    for (let j = cursor; j < inputKeys.length; j++) {
+      if (inputKeys[j] === key) {
+        aligned[j] = output;
+        cursor = j + 1;
+        break;
+      }
+    }
+  }
+  return aligned;
+}
+
+/**
+ * Indices from `expected` that have no usable value in `values`.
+ */
+export function missingIndices(expected: number[], values: Record<string, unknown>, isUsable: (value: unknown) => boolean = (v) => v !== undefined): number[] {
+  return expected.filter((i) => !isUsable(values[i.toString()]));
+}
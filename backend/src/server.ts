@@ -9,9 +9,12 @@ import { env } from './env.js';
 import { verifyAppleIdentityToken } from './apple.js';
 import { lyricsQueue } from './queue.js';
 import { redis, redisPub, redisSub } from './redis.js';
-import { jobMetaKey, jobResultKey, jobsPendingKey, jobsRecentKey, userJobEventsChannel } from './keys.js';
-import type { JobChange, LyricsJobStatus, LyricsJobView, LongpollResponse, RecentResponse } from './types.js';
+import { idempotencyKey, jobCancelKey, jobInputKey, jobMetaKey, jobPartialKey, jobResultKey, jobsPendingKey, jobsRecentKey, userJobEventsChannel } from './keys.js';
+import type { JobChange, LyricsJobStage, LyricsJobStatus, LyricsJobView, LongpollResponse, PartialResultView, RecentResponse, StageProgress } from './types.js';
 import { JobEventBroker } from './jobEventBroker.js';
+import { getLineCacheStats, getResultCacheStats } from './cache.js';
+import { getExhaustedUntil, retryAfterSeconds } from './budget.js';
+import { getUsageOverview, getUserUsage, jobUsageFromMeta, sumTotals } from './usage.js';
 
 type ApiJwtPayload = { sub: string };
 
@@ -71,24 +74,47 @@ function requireDevBypass(_app: ReturnType<typeof Fastify>) {
   };
 }
 
+// The worker's partial result hash (`<stage>:<songIndex>` fields), split by stage.
+async function readPartial(jobId: string): Promise<{ translations: Record<string, string>; lyricsData: Record<string, string> }> {
+  const partial = { translations: {} as Record<string, string>, lyricsData: {} as Record<string, string> };
+  for (const [field, value] of Object.entries(await redis.hgetall(jobPartialKey(jobId)))) {
+    const sep = field.indexOf(':');
+    const stage = field.slice(0, sep);
+    if (stage === 'translations' || stage === 'lyricsData') partial[stage][field.slice(sep + 1)] = value;
+  }
+  return partial;
+}
+
 async function getJobView(jobId: string): Promise<LyricsJobView> {
   const meta = await redis.hgetall(jobMetaKey(jobId));
   const status = (meta.status as LyricsJobStatus | undefined) ?? 'queued';
   const stage = (meta.stage as LyricsJobView['stage'] | undefined) ?? undefined;
+  const progress = parseProgress(meta);
   const error = meta.error;
   const updatedAt = parseUpdatedAt(meta);
+  const repairedLines = meta.repairedLines ? Number(meta.repairedLines) : undefined;
+  const usage = jobUsageFromMeta(meta);
   if (status === 'succeeded') {
     const resultRaw = await redis.get(jobResultKey(jobId));
     if (resultRaw) {
-      return { jobId, status, stage, updatedAt, result: JSON.parse(resultRaw), error: error || undefined };
+      return { jobId, status, stage, updatedAt, repairedLines, usage, result: JSON.parse(resultRaw), error: error || undefined };
     }
     // Result expired or ACKed.
-    return { jobId, status, stage, updatedAt, error: error || undefined };
+    return { jobId, status, stage, updatedAt, repairedLines, usage, error: error || undefined };
   }
-  return { jobId, status, stage, updatedAt, error: error || undefined };
+  const partialLines = meta.partialLines ? Number(meta.partialLines) : undefined;
+  const partial = meta.partialTranslations ? { translations: (await readPartial(jobId)).translations } : undefined;
+  const stages = status === 'running' ? parseStages(meta) : undefined;
+  return { jobId, status, stage, stages, progress, partialLines, partial, updatedAt, usage, error: error || undefined };
 }
 
 const META_TTL_SECONDS = 24 * 60 * 60;
+const RECENT_WINDOW_SECONDS = 24 * 60 * 60;
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+const BATCH_MAX_SONGS = 25;
+const SSE_HEARTBEAT_MS = 15_000;
+const SSE_RETRY_MS = 3_000;
+const USAGE_MAX_DAYS = 90;
 
 function parseUpdatedAt(meta: Record<string, string>): number {
   const raw = meta.updatedAt;
@@ -96,6 +122,27 @@ function parseUpdatedAt(meta: Record<string, string>): number {
   return Number.isFinite(n) ? n : 0;
 }
 
+function parseProgress(meta: Record<string, string>): StageProgress | undefined {
+  const completed = Number(meta.progressCompleted);
+  const total = Number(meta.progressTotal);
+  if (!meta.progressTotal || !Number.isFinite(completed) || !Number.isFinite(total)) return undefined;
+  return { completed, total };
+}
+
+// Every stage in flight (the worker runs translations and lyrics data side by side).
+function parseStages(meta: Record<string, string>): LyricsJobStage[] | undefined {
+  return meta.stages ? (meta.stages.split(',') as LyricsJobStage[]) : undefined;
+}
+
+// New work is refused while the daily budget is exhausted (workers set the flag, see budget.ts).
+async function replyIfCapacityExhausted(reply: any): Promise<boolean> {
+  const until = await getExhaustedUntil();
+  if (until === null) return false;
+  const retryAfter = retryAfterSeconds(until);
+  reply.header('Retry-After', String(retryAfter)).code(503).send({ error: 'Capacity exhausted', retryAfterSeconds: retryAfter });
+  return true;
+}
+
 async function requireOwnedJob(jobId: string, userId: string): Promise<Record<string, string> | null> {
   const meta = await redis.hgetall(jobMetaKey(jobId));
   if (!meta.userId) return null;
@@ -122,8 +169,22 @@ async function fetchChangesForJobIds(userId: string, jobIds: string[], sinceMs:
     const status = (meta as any).status as string | undefined;
     if (!status) continue;
     const stage = (meta as any).stage as LyricsJobView['stage'] | undefined;
+    const stages = status === 'running' ? parseStages(meta as any) : undefined;
+    const progress = parseProgress(meta as any);
+    const partialLines = (meta as any).partialLines ? Number((meta as any).partialLines) : undefined;
+    const partialTranslations = (meta as any).partialTranslations === '1';
     const error = (meta as any).error as string | undefined;
-    changes.push({ jobId: id, status, updatedAt, ...(stage ? { stage } : {}), ...(error ? { error } : {}) });
+    changes.push({
+      jobId: id,
+      status,
+      updatedAt,
+      ...(stage ? { stage } : {}),
+      ...(stages ? { stages } : {}),
+      ...(progress ? { progress } : {}),
+      ...(partialLines ? { partialLines } : {}),
+      ...(partialTranslations ? { partialTranslations } : {}),
+      ...(error ? { error } : {})
+    });
   }
 
   changes.sort((a, b) => a.updatedAt - b.updatedAt);
@@ -140,6 +201,76 @@ async function getIndexChanges(userId: string, sinceMs: number, limit: number):
   return await fetchChangesForJobIds(userId, ids, sinceMs, limit);
 }
 
+const JobInputSchema = z.object({
+  title: z.string().default(''),
+  artist: z.string().default(''),
+  lyrics: z.string().min(1)
+});
+
+type JobInput = z.infer<typeof JobInputSchema>;
+
+async function recordQueuedJob(userId: string, jobId: string, input: JobInput): Promise<void> {
+  const createdAt = nowMs();
+
+  await redis.hset(jobMetaKey(jobId), {
+    status: 'queued',
+    userId,
+    createdAt: createdAt.toString(),
+    updatedAt: createdAt.toString()
+  });
+  await redis.expire(jobMetaKey(jobId), META_TTL_SECONDS);
+  // Kept alongside the meta so a failed job can be retried without the client resending lyrics.
+  await redis.hset(jobInputKey(jobId), input);
+  await redis.expire(jobInputKey(jobId), META_TTL_SECONDS);
+  await redis.zadd(jobsPendingKey(userId), createdAt, jobId);
+  await redisPub.publish(userJobEventsChannel(userId), JSON.stringify({ jobId, status: 'queued', updatedAt: createdAt }));
+}
+
+function queueEntry(userId: string, jobId: string, input: JobInput) {
+  return {
+    name: 'analyze',
+    data: {
+      jobId,
+      userId,
+      title: input.title,
+      artist: input.artist,
+      lyrics: input.lyrics
+    },
+    opts: {
+      // Our jobId doubles as the BullMQ id so the job can be looked up (and removed) later.
+      jobId,
+      removeOnComplete: true,
+      removeOnFail: true
+    }
+  };
+}
+
+async function enqueueJob(userId: string, jobId: string, input: JobInput): Promise<void> {
+  await recordQueuedJob(userId, jobId, input);
+  const entry = queueEntry(userId, jobId, input);
+  await lyricsQueue.add(entry.name, entry.data, entry.opts);
+
+  const counts = await lyricsQueue.getJobCounts('waiting', 'active', 'delayed', 'failed', 'completed', 'paused');
+  app.log.info({ jobId, userId, counts }, 'enqueued lyrics job');
+}
+
+type IdempotencyRecord = { bodyHash: string; jobId: string };
+
+// Claims `key` for this request, or returns the record of the request that claimed it first.
+async function claimIdempotencyKey(userId: string, key: string, record: IdempotencyRecord): Promise<IdempotencyRecord | null> {
+  const redisKey = idempotencyKey(userId, sha256Hex(key));
+  const claimed = await redis.set(redisKey, JSON.stringify(record), 'EX', IDEMPOTENCY_TTL_SECONDS, 'NX');
+  if (claimed === 'OK') return null;
+  const raw = await redis.get(redisKey);
+  // Expired between SET and GET: nothing to replay, so this request owns the key now.
+  if (!raw) return await claimIdempotencyKey(userId, key, record);
+  return JSON.parse(raw) as IdempotencyRecord;
+}
+
+async function releaseIdempotencyKey(userId: string, key: string): Promise<void> {
+  await redis.del(idempotencyKey(userId, sha256Hex(key)));
+}
+
 const app = Fastify({ logger: true });
 
 app.log.info({ redisUrl: env.REDIS_URL }, 'api starting');
@@ -178,12 +309,29 @@ app.get('/v1/debug/queue', { preHandler: requireDevBypass(app) }, async () => {
   const counts = await lyricsQueue.getJobCounts('waiting', 'active', 'delayed', 'failed', 'completed', 'paused');
   const lastId = await redis.get('bull:lyrics-jobs:id');
   const pong = await redis.ping();
+  const resultCache = await getResultCacheStats();
+  const lineCache = await getLineCacheStats();
   return {
     redisUrl: env.REDIS_URL,
     redisPing: pong,
     lastId,
-    counts
+    counts,
+    resultCache,
+    lineCache
+  };
+});
+
+app.get('/v1/debug/usage', { preHandler: requireDevBypass(app) }, async (req: any) => {
+  const q = z.object({
+    days: z.coerce.number().int().min(1).max(USAGE_MAX_DAYS).optional().default(7)
+  }).parse(req.query ?? {});
+  const days = await getUsageOverview(q.days);
+  const budget = {
+    dailyTokens: env.DAILY_TOKEN_BUDGET,
+    dailyCostUsd: env.DAILY_COST_BUDGET_USD,
+    exhaustedUntil: await getExhaustedUntil()
   };
+  return { days, total: sumTotals(days.map((d) => d.totals)), budget };
 });
 
 // Auth
@@ -228,45 +376,91 @@ app.get('/v1/auth/me', { preHandler: requireAuth(app) }, async (req: any) => {
   return { ok: true, sub: user.sub };
 });
 
+// Usage: the caller's daily token and cost totals, newest day first
+app.get('/v1/usage', { preHandler: requireAuth(app) }, async (req: any) => {
+  const q = z.object({
+    days: z.coerce.number().int().min(1).max(USAGE_MAX_DAYS).optional().default(7)
+  }).parse(req.query ?? {});
+  const user = req.user as ApiJwtPayload;
+  const days = await getUserUsage(user.sub, q.days);
+  return { days, total: sumTotals(days.map((d) => d.totals)) };
+});
+
 // Jobs
 app.post('/v1/jobs', { preHandler: requireAuth(app) }, async (req: any, reply) => {
-  const body = z.object({
-    title: z.string().default(''),
-    artist: z.string().default(''),
-    lyrics: z.string().min(1)
-  }).parse(req.body);
+  const body = JobInputSchema.parse(req.body);
+  const idempotencyHeader = z.string().min(1).max(255).optional().parse(req.headers['idempotency-key']);
 
   const user = req.user as ApiJwtPayload;
   const jobId = randomUUID();
-  const createdAt = nowMs();
 
-  await redis.hset(jobMetaKey(jobId), {
-    status: 'queued',
-    userId: user.sub,
-    createdAt: createdAt.toString(),
-    updatedAt: createdAt.toString()
-  });
-  await redis.expire(jobMetaKey(jobId), META_TTL_SECONDS);
-  await redis.zadd(jobsPendingKey(user.sub), createdAt, jobId);
-  await redisPub.publish(userJobEventsChannel(user.sub), JSON.stringify({ jobId, status: 'queued', updatedAt: createdAt }));
+  // Replays get their original answer even while the budget is spent; only new work is refused.
+  if (idempotencyHeader) {
+    const bodyHash = sha256Hex(JSON.stringify(body));
+    const existing = await claimIdempotencyKey(user.sub, idempotencyHeader, { bodyHash, jobId });
+    if (existing) {
+      if (existing.bodyHash !== bodyHash) {
+        return reply.code(409).send({ error: 'Idempotency-Key was already used with a different request body' });
+      }
+      const status = (await redis.hget(jobMetaKey(existing.jobId), 'status')) ?? 'queued';
+      return reply.send({ jobId: existing.jobId, status });
+    }
+  }
 
-  await lyricsQueue.add('analyze', {
-    jobId,
-    userId: user.sub,
-    title: body.title,
-    artist: body.artist,
-    lyrics: body.lyrics
-  }, {
-    removeOnComplete: true,
-    removeOnFail: true
-  });
+  if (await replyIfCapacityExhausted(reply)) {
+    if (idempotencyHeader) await releaseIdempotencyKey(user.sub, idempotencyHeader);
+    return reply;
+  }
 
-  const counts = await lyricsQueue.getJobCounts('waiting', 'active', 'delayed', 'failed', 'completed', 'paused');
-  app.log.info({ jobId, userId: user.sub, counts }, 'enqueued lyrics job');
+  try {
+    await enqueueJob(user.sub, jobId, body);
+  } catch (err) {
+    // Let the client's retry create the job instead of replaying one that never existed.
+    if (idempotencyHeader) await releaseIdempotencyKey(user.sub, idempotencyHeader);
+    throw err;
+  }
 
   return reply.send({ jobId, status: 'queued' });
 });
 
+type BatchItemResult =
+  | { index: number; status: 'queued'; jobId: string }
+  | { index: number; status: 'invalid'; error: string };
+
+app.post('/v1/jobs/batch', { preHandler: requireAuth(app) }, async (req: any, reply) => {
+  const body = z.object({
+    songs: z.array(z.unknown()).min(1).max(BATCH_MAX_SONGS)
+  }).parse(req.body);
+
+  const user = req.user as ApiJwtPayload;
+  if (await replyIfCapacityExhausted(reply)) return reply;
+  const results: BatchItemResult[] = [];
+  const accepted: { jobId: string; input: JobInput }[] = [];
+
+  // Each song is validated on its own so one bad entry doesn't reject the album.
+  body.songs.forEach((song, index) => {
+    const parsed = JobInputSchema.safeParse(song);
+    if (!parsed.success) {
+      const error = parsed.error.issues.map((i) => `${i.path.join('.') || 'song'}: ${i.message}`).join('; ');
+      results.push({ index, status: 'invalid', error });
+      return;
+    }
+    const jobId = randomUUID();
+    accepted.push({ jobId, input: parsed.data });
+    results.push({ index, status: 'queued', jobId });
+  });
+
+  for (const { jobId, input } of accepted) {
+    await recordQueuedJob(user.sub, jobId, input);
+  }
+  if (accepted.length > 0) {
+    await lyricsQueue.addBulk(accepted.map(({ jobId, input }) => queueEntry(user.sub, jobId, input)));
+  }
+
+  app.log.info({ userId: user.sub, accepted: accepted.length, rejected: results.length - accepted.length }, 'enqueued lyrics job batch');
+  return reply.send({ results });
+});
+
 app.get('/v1/jobs/:id', { preHandler: requireAuth(app) }, async (req: any, reply) => {
   const jobId = z.string().uuid().parse(req.params.id);
   const user = req.user as ApiJwtPayload;
@@ -287,6 +481,30 @@ app.get('/v1/jobs/:id/result', { preHandler: requireAuth(app) }, async (req: any
   return reply.send(JSON.parse(raw));
 });
 
+// Lines finished so far, so clients can show the start of a long song while the rest is analyzed.
+app.get('/v1/jobs/:id/partial', { preHandler: requireAuth(app) }, async (req: any, reply) => {
+  const jobId = z.string().uuid().parse(req.params.id);
+  const user = req.user as ApiJwtPayload;
+  const meta = await requireOwnedJob(jobId, user.sub);
+  if (!meta) return reply.code(404).send({ error: 'Not found' });
+  const status = (meta.status as LyricsJobStatus | undefined) ?? 'queued';
+  const stage = (meta.stage as LyricsJobView['stage'] | undefined) ?? undefined;
+  const lineCount = meta.lineCount ? Number(meta.lineCount) : undefined;
+
+  if (status === 'succeeded') {
+    const raw = await redis.get(jobResultKey(jobId));
+    if (!raw) return reply.code(404).send({ error: 'Not found' });
+    const result = JSON.parse(raw);
+    const view: PartialResultView = { jobId, status, lineCount, lyricsData: result.lyricsData, translations: result.translations, complete: true };
+    return reply.send(view);
+  }
+
+  const partial = await readPartial(jobId);
+  const translations = meta.partialTranslations ? partial.translations : {};
+  const view: PartialResultView = { jobId, status, stage, lineCount, lyricsData: partial.lyricsData, translations, complete: false };
+  return reply.send(view);
+});
+
 app.post('/v1/jobs/:id/ack', { preHandler: requireAuth(app) }, async (req: any, reply) => {
   const jobId = z.string().uuid().parse(req.params.id);
   const user = req.user as ApiJwtPayload;
@@ -299,6 +517,79 @@ app.post('/v1/jobs/:id/ack', { preHandler: requireAuth(app) }, async (req: any,
   return reply.send({ ok: true });
 });
 
+app.post('/v1/jobs/:id/retry', { preHandler: requireAuth(app) }, async (req: any, reply) => {
+  const jobId = z.string().uuid().parse(req.params.id);
+  const body = z.object({
+    newJobId: z.boolean().optional().default(false)
+  }).parse(req.body ?? {});
+  const user = req.user as ApiJwtPayload;
+  const meta = await requireOwnedJob(jobId, user.sub);
+  if (!meta) return reply.code(404).send({ error: 'Not found' });
+  const status = meta.status as string | undefined;
+  if (status !== 'failed' && status !== 'cancelled') {
+    return reply.code(409).send({ status: status ?? 'queued' });
+  }
+  if (await replyIfCapacityExhausted(reply)) return reply;
+
+  const stored = await redis.hgetall(jobInputKey(jobId));
+  const input = JobInputSchema.safeParse(stored);
+  if (!input.success) return reply.code(410).send({ error: 'Job input expired' });
+
+  if (!body.newJobId) {
+    // A cancelled job can still be winding down in a worker; its BullMQ id is taken until then.
+    if (await lyricsQueue.getJob(jobId)) return reply.code(409).send({ status });
+    await redis.del(jobCancelKey(jobId));
+    await redis.hdel(jobMetaKey(jobId), 'error', 'stage', 'stages', 'progressCompleted', 'progressTotal', 'repairedLines', 'partialLines', 'partialTranslations');
+    await redis.del(jobPartialKey(jobId));
+    await redis.zrem(jobsRecentKey(user.sub), jobId);
+  }
+
+  const retryJobId = body.newJobId ? randomUUID() : jobId;
+  await enqueueJob(user.sub, retryJobId, input.data);
+  app.log.info({ jobId: retryJobId, retryOf: jobId, userId: user.sub }, 'retried lyrics job');
+
+  return reply.send({ jobId: retryJobId, status: 'queued', retryOf: jobId });
+});
+
+app.delete('/v1/jobs/:id', { preHandler: requireAuth(app) }, async (req: any, reply) => {
+  const jobId = z.string().uuid().parse(req.params.id);
+  const user = req.user as ApiJwtPayload;
+  const meta = await requireOwnedJob(jobId, user.sub);
+  if (!meta) return reply.code(404).send({ error: 'Not found' });
+  const status = meta.status as string | undefined;
+  if (status === 'succeeded' || status === 'failed' || status === 'cancelled') {
+    return reply.code(409).send({ status });
+  }
+
+  // The worker polls this flag and stops between stages (aborting any in-flight Gemini call).
+  await redis.set(jobCancelKey(jobId), '1', 'EX', META_TTL_SECONDS);
+
+  // Waiting/delayed jobs can be dropped outright; an active job is locked by its worker.
+  const queued = await lyricsQueue.getJob(jobId);
+  if (queued) {
+    try {
+      await queued.remove();
+    } catch (_err) {
+      req.log.info({ jobId }, 'job is active; worker will stop at the next stage');
+    }
+  }
+
+  const cancelledAt = nowMs();
+  await redis.hset(jobMetaKey(jobId), {
+    status: 'cancelled',
+    updatedAt: cancelledAt.toString()
+  });
+  await redis.hdel(jobMetaKey(jobId), 'stage', 'stages', 'progressCompleted', 'progressTotal');
+  await redis.expire(jobMetaKey(jobId), META_TTL_SECONDS);
+  await redis.zrem(jobsPendingKey(user.sub), jobId);
+  await redis.zadd(jobsRecentKey(user.sub), cancelledAt, jobId);
+  await redis.zremrangebyscore(jobsRecentKey(user.sub), 0, cancelledAt - RECENT_WINDOW_SECONDS * 1000);
+  await redisPub.publish(userJobEventsChannel(user.sub), JSON.stringify({ jobId, status: 'cancelled', updatedAt: cancelledAt }));
+
+  app.log.info({ jobId, userId: user.sub, previousStatus: status ?? 'queued' }, 'cancelled lyrics job');
+  return reply.send({ jobId, status: 'cancelled' });
+});
+
 app.get('/v1/jobs/recent', { preHandler: requireAuth(app) }, async (req: any, reply) => {
   const user = req.user as ApiJwtPayload;
   const q = z.object({
@@ -383,4 +674,69 @@ app.get('/v1/jobs/pending/longpoll', { preHandler: requireAuth(app) }, async (re
   return reply.send(resp);
 });
 
+app.get('/v1/jobs/events', { preHandler: requireAuth(app) }, async (req: any, reply) => {
+  const user = req.user as ApiJwtPayload;
+  const q = z.object({
+    since: z.coerce.number().optional().default(0),
+    limit: z.coerce.number().optional().default(50)
+  }).parse(req.query);
+
+  // EventSource reconnects send the id of the last delivered event, which is its updatedAt.
+  const lastEventId = req.headers['last-event-id'];
+  const resumeFrom = typeof lastEventId === 'string' && lastEventId.length > 0 ? Number(lastEventId) : NaN;
+  const limit = Math.min(Math.max(q.limit, 1), 200);
+
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    ...(reply.getHeaders() as Record<string, string>),
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache, no-transform',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no'
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  let closed = false;
+  // Flushes can overlap with the initial catch-up, and jobs can share a millisecond, so duplicates
+  // are dropped per job; the newest updatedAt seen is only the event id to resume from.
+  const delivered = new Map<string, number>();
+  let lastEventAt = Number.isFinite(resumeFrom) ? resumeFrom : q.since;
+  const subscription = {
+    userId: user.sub,
+    sinceMs: lastEventAt,
+    limit,
+    onChanges: (changes: JobChange[]) => {
+      if (closed) return;
+      for (const change of changes) {
+        if ((delivered.get(change.jobId) ?? -1) >= change.updatedAt) continue;
+        delivered.set(change.jobId, change.updatedAt);
+        lastEventAt = Math.max(lastEventAt, change.updatedAt);
+        res.write(`id: ${lastEventAt}\nevent: job\ndata: ${JSON.stringify(change)}\n\n`);
+      }
+    },
+    onError: (err: unknown) => {
+      req.log.warn({ err: (err as any)?.message ?? err }, 'job events fetch failed');
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  req.raw.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    broker.unsubscribe(subscription);
+  });
+
+  // Subscribe before the catch-up read so nothing published in between is lost.
+  broker.subscribe(subscription);
+  try {
+    subscription.onChanges(await getIndexChanges(user.sub, subscription.sinceMs, limit));
+  } catch (err) {
+    subscription.onError(err);
+  }
+});
+
 await app.listen({ port: env.PORT, host: '0.0.0.0' });
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for prompt templating (placeholder checks + escaping)
+ */
+
+import { compileTemplate } from './template.js';
+
+console.log('Running template tests...');
+
+const SOURCE = JSON.stringify({ contents: [{ parts: [{ text: 'Process {{LINE_COUNT}} lines.\nInput JSON:\n{{INPUT_JSON}}' }] }] });
+
+// Test values are escaped for the JSON string they land in
+try {
+  const template = compileTemplate('test', SOURCE, ['INPUT_JSON', 'LINE_COUNT']);
+  const input = JSON.stringify({ '0': 'say "hi"\\n', '1': '夏が来た' });
+  const body = JSON.parse(template.render({ INPUT_JSON: input, LINE_COUNT: 2 }));
+  const text: string = body.contents[0].parts[0].text;
+  if (!text.startsWith('Process 2 lines.')) throw new Error(`Unexpected text: ${text}`);
+  if (!text.endsWith(input)) throw new Error(`Input JSON not preserved: ${text}`);
+  console.log('✅ render escaping test passed');
+} catch (error) {
+  console.error('❌ render escaping test failed:', error);
+  process.exit(1);
+}
+
+// Test missing and unknown placeholders are rejected at compile time
+try {
+  let threw = false;
+  try {
+    compileTemplate('test', SOURCE, ['INPUT_JSON', 'LINE_COUNT', 'TITLE']);
+  } catch (e: any) {
+    threw = /missing placeholder.*\{\{TITLE\}\}/.test(e.message);
+  }
+  if (!threw) throw new Error('Expected missing placeholder error');
+
+  threw = false;
+  try {
+    compileTemplate('test', SOURCE, ['INPUT_JSON']);
+  } catch (e: any) {
+    threw = /unknown placeholder.*\{\{LINE_COUNT\}\}/.test(e.message);
+  }
+  if (!threw) throw new Error('Expected unknown placeholder error');
+  console.log('✅ placeholder check test passed');
+} catch (error) {
+  console.error('❌ placeholder check test failed:', error);
+  process.exit(1);
+}
+
+// Test placeholders outside string values are rejected
+try {
+  let threw = false;
+  try {
+    compileTemplate('test', '{"count": {{LINE_COUNT}}}', ['LINE_COUNT']);
+  } catch (e: any) {
+    threw = /not valid JSON/.test(e.message);
+  }
+  if (!threw) throw new Error('Expected invalid JSON error');
+  console.log('✅ placeholder position test passed');
+} catch (error) {
+  console.error('❌ placeholder position test failed:', error);
+  process.exit(1);
+}
+
+console.log('\n✅ All template tests passed!');
@@ -0,0 +1,72 @@
+/**
+ * `{{NAME}}` templating for JSON prompt bodies.
+ *
+ * Placeholders may only appear inside JSON string values; values are escaped for that context, so
+ * lyrics containing quotes, backslashes or newlines cannot break the body. Templates are checked
+ * when compiled (declared placeholders present, no unknown ones, valid JSON) and every rendered
+ * body is parsed before it is returned.
+ */
+
+const PLACEHOLDER = /\{\{([A-Za-z0-9_]+)\}\}/g;
+
+export type TemplateValues<V extends string> = Record<V, string | number>;
+
+export type Template<V extends string> = {
+  readonly label: string;
+  render(values: TemplateValues<V>): string;
+};
+
+export class TemplateError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+export function templatePlaceholders(source: string): string[] {
+  return [...new Set([...source.matchAll(PLACEHOLDER)].map((m) => m[1]))];
+}
+
+function escapeForJsonString(value: string): string {
+  // JSON.stringify(value) without the surrounding quotes
+  return JSON.stringify(value).slice(1, -1);
+}
+
+function fill(source: string, values: Record<string, string>): string {
+  return source.replace(PLACEHOLDER, (_, name: string) => values[name]);
+}
+
+export function compileTemplate<V extends string>(label: string, source: string, variables: readonly V[]): Template<V> {
+  const found = templatePlaceholders(source);
+  const missing = variables.filter((v) => !found.includes(v));
+  const unknown = found.filter((p) => !(variables as readonly string[]).includes(p));
+  if (missing.length > 0) throw new TemplateError(`${label} is missing placeholder(s): ${missing.map((v) => `{{${v}}}`).join(', ')}`);
+  if (unknown.length > 0) throw new TemplateError(`${label} has unknown placeholder(s): ${unknown.map((v) => `{{${v}}}`).join(', ')}`);
+
+  // A bare sentinel only parses inside a string, which is where escaped values are safe.
+  const sentinels = Object.fromEntries(variables.map((v) => [v, `__${v}__`]));
+  try {
+    JSON.parse(fill(source, sentinels));
+  } catch (err: any) {
+    throw new TemplateError(`${label} is not valid JSON with placeholders inside strings: ${err?.message ?? err}`);
+  }
+
+  return {
+    label,
+    render(values) {
+      const escaped: Record<string, string> = {};
+      for (const v of variables) {
+        const value = values[v];
+        if (value === undefined || value === null) throw new TemplateError(`${label}: no value for {{${v}}}`);
+        escaped[v] = escapeForJsonString(String(value));
+      }
+      const body = fill(source, escaped);
+      try {
+        JSON.parse(body);
+      } catch (err: any) {
+        throw new TemplateError(`${label} rendered to invalid JSON: ${err?.message ?? err}`);
+      }
+      return body;
+    }
+  };
+}
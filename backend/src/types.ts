@@ -1,7 +1,14 @@
-export type LyricsJobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+import type { CompactFormatDiagnostic } from './compact-format.js';
+
+export type LyricsJobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
 
 export type LyricsJobStage = 'translating' | 'lyrics_data' | 'finalizing';
 
+export type StageProgress = {
+  completed: number;
+  total: number;
+};
+
 export type MoraData = {
   text: string;
   isHigh: boolean;
@@ -26,25 +33,89 @@ export type LyricsLine = {
 export type LyricsJobResult = {
   translations: Record<string, string>;
   lyricsData: Record<string, LyricsLine | string>; // string for compact format
+  // Present only when some lines could not be recovered from Gemini (song line indices).
+  missingLines?: {
+    translations: number[];
+    lyricsData: number[];
+  };
+  // Compact-format validation report, so clients can flag uncertain lines (compact format only).
+  diagnostics?: {
+    warnings: CompactFormatDiagnostic[];
+  };
+  // What produced this result, for tracing quality regressions (absent on results from before versioning).
+  promptVersion?: string;
+  // `provider:model` that answered each stage (comma separated when a fallback answered some calls)
+  models?: {
+    translations: string;
+    lyricsData: string;
+  };
 };
 
 export type LyricsJobView = {
   jobId: string;
   status: LyricsJobStatus;
+  // Earliest stage in flight; `stages` lists all of them while the job runs (they overlap)
   stage?: LyricsJobStage;
+  stages?: LyricsJobStage[];
+  progress?: StageProgress;
   updatedAt?: number;
+  // Lines that failed compact-format validation and were fixed by a repair prompt.
+  repairedLines?: number;
+  // Lines already available from GET /v1/jobs/:id/partial while the job runs
+  partialLines?: number;
+  // While lyrics data is still running: the finished translation stage (song line index -> text)
+  partial?: {
+    translations: Record<string, string>;
+  };
+  // Tokens spent on this job so far (absent when no model was called, e.g. a cache hit).
+  usage?: JobUsage;
   result?: LyricsJobResult;
   error?: string;
 };
 
+export type StageTokens = {
+  promptTokens: number;
+  outputTokens: number;
+};
+
+export type JobUsage = {
+  translations: StageTokens;
+  lyricsData: StageTokens;
+  costUsd: number;
+};
+
+export type UsageTotals = StageTokens & {
+  calls: number;
+  costUsd: number;
+};
+
 export type JobChange = {
   jobId: string;
   status: LyricsJobStatus | string;
   stage?: LyricsJobStage;
+  stages?: LyricsJobStage[];
+  progress?: StageProgress;
+  partialLines?: number;
+  // Translations can be read (from GET /v1/jobs/:id) before the job finishes
+  partialTranslations?: boolean;
   updatedAt: number;
   error?: string;
 };
 
+export type PartialResultView = {
+  jobId: string;
+  status: LyricsJobStatus;
+  stage?: LyricsJobStage;
+  // Lines in the song, once the worker has started on it
+  lineCount?: number;
+  // Song line index -> compact line, for every line finished so far
+  lyricsData: Record<string, LyricsLine | string>;
+  // Song line index -> translation, once the translation stage has finished
+  translations: Record<string, string>;
+  // True once the job succeeded and lyricsData is the full result
+  complete: boolean;
+};
+
 export type LongpollResponse = {
   changes: JobChange[];
   hasPending: boolean;
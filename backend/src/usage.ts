@@ -0,0 +1,146 @@
+import { env } from './env.js';
+import { redis } from './redis.js';
+import { usageGlobalKey, usagePromptsKey, usageUserKey } from './keys.js';
+import type { TokenUsage } from './llm.js';
+import type { JobUsage, UsageTotals } from './types.js';
+
+export type UsageStage = 'translations' | 'lyricsData';
+
+type Pricing = { inputPerMillion: number; outputPerMillion: number };
+
+// Daily totals are kept this long
+const USAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+const COUNTERS = ['promptTokens', 'outputTokens', 'costMicros', 'calls'] as const;
+
+// LLM_PRICING: `model=input/output` in USD per 1M tokens, comma separated.
+export function parsePricing(spec: string): Map<string, Pricing> {
+  const pricing = new Map<string, Pricing>();
+  for (const entry of spec.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const m = /^([^=]+)=([\d.]+)\/([\d.]+)$/.exec(entry);
+    if (!m) throw new Error(`Invalid LLM_PRICING entry: "${entry}"`);
+    pricing.set(m[1].trim(), { inputPerMillion: Number(m[2]), outputPerMillion: Number(m[3]) });
+  }
+  return pricing;
+}
+
+const pricing = parsePricing(env.LLM_PRICING);
+const unpricedModels = new Set<string>();
+
+// Cost in millionths of a USD, so totals can be kept with HINCRBY.
+export function costMicros(model: string, usage: TokenUsage): number {
+  const price = pricing.get(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      console.warn(`[usage] no LLM_PRICING entry for model=${model}; counting its cost as 0`);
+    }
+    return 0;
+  }
+  return Math.round(usage.promptTokens * price.inputPerMillion + usage.outputTokens * price.outputPerMillion);
+}
+
+export function usageDay(ms: number = Date.now()): string {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Account one provider call: per-stage counts on the job meta, plus daily totals for the user,
+ * globally and per prompt version.
+ */
+export async function recordUsage(
+  job: { metaKey: string; userId: string; promptVersion: string },
+  stage: UsageStage,
+  model: string,
+  usage: TokenUsage
+): Promise<void> {
+  const cost = costMicros(model, usage);
+  const day = usageDay();
+  const pipe = redis.pipeline();
+  pipe.hincrby(job.metaKey, `${stage}PromptTokens`, usage.promptTokens);
+  pipe.hincrby(job.metaKey, `${stage}OutputTokens`, usage.outputTokens);
+  pipe.hincrby(job.metaKey, 'costMicros', cost);
+
+  const increments: Record<(typeof COUNTERS)[number], number> = {
+    promptTokens: usage.promptTokens,
+    outputTokens: usage.outputTokens,
+    costMicros: cost,
+    calls: 1
+  };
+  for (const key of [usageUserKey(day, job.userId), usageGlobalKey(day)]) {
+    for (const counter of COUNTERS) pipe.hincrby(key, counter, increments[counter]);
+    pipe.expire(key, USAGE_TTL_SECONDS);
+  }
+  const promptsKey = usagePromptsKey(day);
+  for (const counter of COUNTERS) pipe.hincrby(promptsKey, `${job.promptVersion}:${counter}`, increments[counter]);
+  pipe.expire(promptsKey, USAGE_TTL_SECONDS);
+  await pipe.exec();
+}
+
+function toTotals(hash: Record<string, string>, prefix = ''): UsageTotals {
+  const micros = Number(hash[`${prefix}costMicros`] ?? 0);
+  return {
+    promptTokens: Number(hash[`${prefix}promptTokens`] ?? 0),
+    outputTokens: Number(hash[`${prefix}outputTokens`] ?? 0),
+    calls: Number(hash[`${prefix}calls`] ?? 0),
+    costUsd: micros / 1_000_000
+  };
+}
+
+export function jobUsageFromMeta(meta: Record<string, string>): JobUsage | undefined {
+  if (meta.costMicros === undefined) return undefined;
+  return {
+    translations: {
+      promptTokens: Number(meta.translationsPromptTokens ?? 0),
+      outputTokens: Number(meta.translationsOutputTokens ?? 0)
+    },
+    lyricsData: {
+      promptTokens: Number(meta.lyricsDataPromptTokens ?? 0),
+      outputTokens: Number(meta.lyricsDataOutputTokens ?? 0)
+    },
+    costUsd: Number(meta.costMicros) / 1_000_000
+  };
+}
+
+// The last `days` UTC days, newest first.
+function recentDays(days: number): string[] {
+  const now = Date.now();
+  return Array.from({ length: days }, (_, i) => usageDay(now - i * 24 * 60 * 60 * 1000));
+}
+
+export async function getUserUsage(userId: string, days: number): Promise<{ date: string; totals: UsageTotals }[]> {
+  const dates = recentDays(days);
+  const pipe = redis.pipeline();
+  for (const date of dates) pipe.hgetall(usageUserKey(date, userId));
+  const results = (await pipe.exec()) ?? [];
+  return dates.map((date, i) => ({ date, totals: toTotals((results[i]?.[1] as Record<string, string>) ?? {}) }));
+}
+
+export async function getUsageOverview(days: number): Promise<{ date: string; totals: UsageTotals; promptVersions: Record<string, UsageTotals> }[]> {
+  const dates = recentDays(days);
+  const pipe = redis.pipeline();
+  for (const date of dates) {
+    pipe.hgetall(usageGlobalKey(date));
+    pipe.hgetall(usagePromptsKey(date));
+  }
+  const results = (await pipe.exec()) ?? [];
+  return dates.map((date, i) => {
+    const global = (results[2 * i]?.[1] as Record<string, string>) ?? {};
+    const prompts = (results[2 * i + 1]?.[1] as Record<string, string>) ?? {};
+    const versions = new Set(Object.keys(prompts).map((field) => field.slice(0, field.lastIndexOf(':'))));
+    const promptVersions: Record<string, UsageTotals> = {};
+    for (const version of versions) promptVersions[version] = toTotals(prompts, `${version}:`);
+    return { date, totals: toTotals(global), promptVersions };
+  });
+}
+
+export function sumTotals(totals: UsageTotals[]): UsageTotals {
+  const sum: UsageTotals = { promptTokens: 0, outputTokens: 0, calls: 0, costUsd: 0 };
+  for (const t of totals) {
+    sum.promptTokens += t.promptTokens;
+    sum.outputTokens += t.outputTokens;
+    sum.calls += t.calls;
+    sum.costUsd += t.costUsd;
+  }
+  sum.costUsd = Math.round(sum.costUsd * 1_000_000) / 1_000_000;
+  return sum;
+}
@@ -1,11 +1,25 @@
-import { Worker } from 'bullmq';
+import { DelayedError, Worker } from 'bullmq';
 import { env } from './env.js';
 import { redis, redisPub } from './redis.js';
-import { jobMetaKey, jobResultKey, jobsPendingKey, jobsRecentKey, userJobEventsChannel } from './keys.js';
-import { generateLyricsData, generateTranslations } from './gemini.js';
+import { lyricsQueue } from './queue.js';
+import { geminiKeyFingerprints } from './geminiKeys.js';
+import { jobCancelKey, jobMetaKey, jobPartialKey, jobResultKey, jobsPendingKey, jobsRecentKey, userJobEventsChannel } from './keys.js';
+import { loadPromptSets, loadedPromptVersions, promptSet, selectPromptVersion } from './prompts.js';
+import { analysisProvider, analysisProviders, providerChains, providerLabel, providerSignature, stageModels, translationProvider, translationProviders } from './providers.js';
+import { getCachedLines, getCachedResult, lineCacheScope, putCachedLines, putCachedResult, resultCacheHash } from './cache.js';
+import type { CachedLine } from './cache.js';
+import { dedupeLines, expandByIndex, linesFromLyrics } from './lines.js';
+import { alignCompactLines, missingIndices } from './reconcile.js';
 import { normalizeIsHigh, stripCodeFences } from './sanitize.js';
-import type { LyricsJobResult } from './types.js';
-import { createHash } from 'node:crypto';
+import { chunk, mapWithConcurrency } from './concurrency.js';
+import { recordUsage } from './usage.js';
+import { budgetEnabled, checkBudget, clearBudgetPause, getExhaustedUntil, markExhausted, pausedByBudget } from './budget.js';
+import type { BudgetState } from './budget.js';
+import type { UsageStage } from './usage.js';
+import { LlmHttpError, LlmOutputError } from './llm.js';
+import type { LlmCompletion, LlmProvider } from './llm.js';
+import type { LyricsJobResult, LyricsJobStage, StageProgress } from './types.js';
+import type { CompactFormatDiagnostic } from './compact-format.js';
 
 type JobData = {
   jobId: string;
@@ -19,10 +33,28 @@ const RESULT_TTL_SECONDS = 24 * 60 * 60;
 const META_TTL_SECONDS = 24 * 60 * 60;
 const RECENT_WINDOW_SECONDS = 24 * 60 * 60;
 const RECENT_MAX_SIZE = 500;
+const CANCEL_POLL_MS = 2_000;
+
+class JobCancelledError extends Error {
+  constructor(jobId: string) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
 
 console.log(`[worker] starting redisUrl=${env.REDIS_URL}`);
-console.log(`[worker] gemini model=${env.GEMINI_MODEL} timeoutMs=${env.GEMINI_TIMEOUT_MS}`);
-console.log(`[worker] gemini key sha256=${createHash('sha256').update(env.GEMINI_API_KEY).digest('hex').slice(0, 12)}`);
+console.log(`[worker] providers ${providerChains()}`);
+console.log(`[worker] gemini model=${env.GEMINI_MODEL} timeoutMs=${env.GEMINI_TIMEOUT_MS} recordMode=${env.GEMINI_RECORD_MODE}`);
+for (const fingerprint of geminiKeyFingerprints()) {
+  console.log(`[worker] gemini key sha256=${fingerprint}`);
+}
+try {
+  await loadPromptSets();
+  console.log(`[worker] prompt versions ${loadedPromptVersions().join(',')} default=${env.PROMPT_VERSION}${env.PROMPT_COHORTS ? ` cohorts=${env.PROMPT_COHORTS}` : ''}`);
+} catch (err: any) {
+  console.error('[worker] prompt load failed:', err?.message ?? err);
+  process.exit(1);
+}
 try {
   const pong = await redis.ping();
   console.log(`[worker] redis ping: ${pong}`);
@@ -31,29 +63,105 @@ try {
   process.exit(1);
 }
 
-async function publish(userId: string, change: { jobId: string; status: string; updatedAt: number; stage?: string; error?: string }) {
+const BUDGET_CHECK_MS = 60_000;
+
+// Pauses the queue once today's usage reaches the daily budget, and resumes it in the next window.
+async function enforceBudget(): Promise<BudgetState> {
+  const state = await checkBudget();
+  if (state.exhausted) {
+    if (!(await getExhaustedUntil())) {
+      console.warn(`[worker] daily budget exhausted; pausing queue until ${new Date(state.resetsAt).toISOString()}`);
+      await markExhausted(state.resetsAt);
+      await lyricsQueue.pause();
+    }
+  } else if (await pausedByBudget()) {
+    console.log('[worker] budget available again; resuming queue');
+    await clearBudgetPause();
+    await lyricsQueue.resume();
+  }
+  return state;
+}
+
+await enforceBudget();
+setInterval(() => {
+  enforceBudget().catch((err) => console.error('[worker] budget check failed:', err?.message ?? err));
+}, BUDGET_CHECK_MS);
+
+async function publish(userId: string, change: { jobId: string; status: string; updatedAt: number; stage?: string; stages?: LyricsJobStage[]; progress?: StageProgress; partialLines?: number; partialTranslations?: boolean; error?: string }) {
   await redisPub.publish(userJobEventsChannel(userId), JSON.stringify(change));
 }
 
-async function updateRunningStage(metaKey: string, userId: string, jobId: string, stage: 'translating' | 'lyrics_data' | 'finalizing') {
+async function isCancelled(jobId: string): Promise<boolean> {
+  return (await redis.exists(jobCancelKey(jobId))) === 1;
+}
+
+async function throwIfCancelled(jobId: string) {
+  if (await isCancelled(jobId)) throw new JobCancelledError(jobId);
+}
+
+// Polls the cancel flag set by DELETE /v1/jobs/:id and aborts in-flight Gemini calls.
+function watchCancellation(jobId: string, controller: AbortController): () => void {
+  const timer = setInterval(() => {
+    void isCancelled(jobId)
+      .then((cancelled) => {
+        if (cancelled) controller.abort();
+      })
+      .catch(() => {
+        // ignore; the next stage boundary checks again
+      });
+  }, CANCEL_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+async function markCancelled(metaKey: string, userId: string, jobId: string) {
+  // The API already recorded the cancellation; re-assert it in case a stage update raced it.
   const updatedAt = Date.now();
   await redis.hset(metaKey, {
+    status: 'cancelled',
+    updatedAt: updatedAt.toString()
+  });
+  await redis.hdel(metaKey, 'stage', 'stages', 'progressCompleted', 'progressTotal');
+  await redis.expire(metaKey, META_TTL_SECONDS);
+  await redis.zrem(jobsPendingKey(userId), jobId);
+  await publish(userId, { jobId, status: 'cancelled', updatedAt });
+}
+
+const STAGE_ORDER: LyricsJobStage[] = ['translating', 'lyrics_data', 'finalizing'];
+
+async function updateRunningStage(metaKey: string, userId: string, jobId: string, stage: LyricsJobStage, progress?: StageProgress) {
+  await throwIfCancelled(jobId);
+  await writeRunningStages(metaKey, userId, jobId, [stage], progress);
+}
+
+// `stage` stays the earliest running stage for clients that only know one; `stages` lists all of them.
+// One MULTI, so overlapping stage updates of the same job never interleave.
+async function writeRunningStages(metaKey: string, userId: string, jobId: string, stages: LyricsJobStage[], progress?: StageProgress) {
+  const stage = stages[0];
+  const updatedAt = Date.now();
+  const tx = redis.multi();
+  tx.hset(metaKey, {
     status: 'running',
     stage,
+    stages: stages.join(','),
     userId,
-    updatedAt: updatedAt.toString()
+    updatedAt: updatedAt.toString(),
+    ...(progress ? { progressCompleted: progress.completed.toString(), progressTotal: progress.total.toString() } : {})
   });
-  await redis.expire(metaKey, META_TTL_SECONDS);
-  await redis.zadd(jobsPendingKey(userId), updatedAt, jobId);
-  await publish(userId, { jobId, status: 'running', updatedAt, stage });
+  if (!progress) tx.hdel(metaKey, 'progressCompleted', 'progressTotal');
+  tx.expire(metaKey, META_TTL_SECONDS);
+  tx.zadd(jobsPendingKey(userId), updatedAt, jobId);
+  await tx.exec();
+  await publish(userId, { jobId, status: 'running', updatedAt, stage, stages, ...(progress ? { progress } : {}) });
 }
 
-function linesFromLyrics(lyrics: string): string[] {
-  return lyrics
-    .trim()
-    .split(/\r?\n/)
-    .map((l) => l.trimEnd())
-    .filter((l) => l.length > 0);
+// Reports every stage of the job that is in flight (translations and lyrics data run side by side).
+async function reportStages(ctx: JobContext) {
+  await throwIfCancelled(ctx.jobId);
+  // Read after the await, so reports reach Redis in the order the stages changed.
+  const stages = STAGE_ORDER.filter((s) => ctx.stages.running.has(s));
+  if (stages.length === 0) return;
+  const progress = ctx.stages.running.has('lyrics_data') ? ctx.stages.progress : undefined;
+  await writeRunningStages(ctx.metaKey, ctx.userId, ctx.jobId, stages, progress && { ...progress });
 }
 
 function toInputDict(lines: string[]): Record<number, string> {
@@ -62,77 +170,558 @@ function toInputDict(lines: string[]): Record<number, string> {
   return dict;
 }
 
-export const worker = new Worker<JobData>(
-  'lyrics-jobs',
-  async (job) => {
-    const { jobId, userId, lyrics } = job.data;
-    const metaKey = jobMetaKey(jobId);
+type JobContext = {
+  jobId: string;
+  userId: string;
+  metaKey: string;
+  promptVersion: string;
+  // Prompt set identity for cache keys (see PromptSet.id)
+  promptId: string;
+  signal: AbortSignal;
+  // `provider:model` of every model that answered, per stage (fallbacks included)
+  answeredBy: Record<UsageStage, Set<string>>;
+  // Song line indices filled by line k of the current request, for partial results
+  songIndices?: (requestIndex: number) => number[];
+  // Stages in flight, shared by every copy of the context; `progress` counts lyrics-data chunks
+  stages: { running: Set<LyricsJobStage>; progress?: StageProgress };
+};
+
+type AnalysisOutput = {
+  translations: Record<string, string>;
+  lyricsData: LyricsJobResult['lyricsData'];
+  // Indices whose lyricsData failed validation, with the error; stored, but never cached.
+  invalidLines: Map<number, string>;
+};
 
+type LyricsDataOutput = Omit<AnalysisOutput, 'translations'>;
+
+function isNonEmptyString(value: unknown): boolean {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isCancellation(ctx: JobContext, err: unknown): boolean {
+  return err instanceof JobCancelledError || ctx.signal.aborted;
+}
+
+function parseTranslations(raw: string): Record<string, string> {
+  const clean = stripCodeFences(raw);
+  try {
+    return JSON.parse(clean) as Record<string, string>;
+  } catch (e: any) {
+    throw new LlmOutputError(`Failed to parse translations JSON: ${e?.message ?? e}. Snippet=${clean.slice(0, 500)}`);
+  }
+}
+
+// Parses lyricsData for `inputLines`; the k-th prompt line is stored under key `indices[k]`.
+async function parseLyricsData(jobId: string, raw: string, inputLines: string[], indices: number[]): Promise<LyricsDataOutput> {
+  const lyricsDataClean = stripCodeFences(raw);
+  const lyricsData: LyricsJobResult['lyricsData'] = {};
+  const invalidLines = new Map<number, string>();
+
+  // Handle compact format or JSON format based on configuration
+  if (env.USE_COMPACT_FORMAT) {
+    const { sanitizeCompactFormat, validateCompactFormat } = await import('./compact-format.js');
+
+    // Sanitize and split into lines, then match them back to the prompt lines
+    const sanitized = sanitizeCompactFormat(lyricsDataClean);
+    const linesArray = sanitized.split('\n').filter(l => l.trim());
+    const aligned = alignCompactLines(inputLines, linesArray);
+
+    // Validate and store each line
+    aligned.forEach((line, k) => {
+      if (line === undefined) return;
+      const index = indices[k];
+      try {
+        validateCompactFormat(line, index);
+      } catch (err: any) {
+        console.warn(`[worker] validation warning for job ${jobId} line ${index}: ${err?.message ?? err}`);
+        // Store anyway (repair may fix it later), let iOS handle parsing errors gracefully
+        invalidLines.set(index, String(err?.message ?? err));
+      }
+      lyricsData[index.toString()] = line;
+    });
+  } else {
+    // Parse as JSON (backward compatibility)
+    const normalized = normalizeIsHigh(lyricsDataClean);
+    let parsed: LyricsJobResult['lyricsData'];
     try {
-      console.log(`[worker] picked up job ${jobId} (user=${userId})`);
+      parsed = JSON.parse(normalized) as LyricsJobResult['lyricsData'];
+    } catch (e: any) {
+      throw new LlmOutputError(`Failed to parse lyricsData JSON: ${e?.message ?? e}. Snippet=${normalized.slice(0, 500)}`);
+    }
+    for (const [key, value] of Object.entries(parsed)) {
+      const index = indices[Number(key)];
+      if (index !== undefined) lyricsData[index.toString()] = value;
+    }
+  }
 
-      await updateRunningStage(metaKey, userId, jobId, 'translating');
+  return { lyricsData, invalidLines };
+}
 
-      const lines = linesFromLyrics(lyrics);
-      const inputJson = JSON.stringify(toInputDict(lines));
+// Stores song index -> value under `<stage>:<index>` in the job's partial result; returns how many are new.
+async function storePartial(ctx: JobContext, stage: UsageStage, values: Record<string, string>): Promise<number> {
+  const partialKey = jobPartialKey(ctx.jobId);
+  const fields = Object.fromEntries(Object.entries(values).map(([i, value]) => [`${stage}:${i}`, value]));
+  const added = await redis.hset(partialKey, fields);
+  await redis.expire(partialKey, META_TTL_SECONDS);
+  return added;
+}
+
+// Request-level keys -> song line indices (see JobContext.songIndices).
+function toSongIndices(ctx: JobContext, values: Record<string, string>): Record<string, string> {
+  const mapped: Record<string, string> = {};
+  for (const [k, value] of Object.entries(values)) {
+    for (const songIndex of ctx.songIndices?.(Number(k)) ?? []) mapped[songIndex.toString()] = value;
+  }
+  return mapped;
+}
+
+/**
+ * Stores the translations finished so far. The first call after the translation stage marks them
+ * available and notifies clients.
+ */
+async function writePartialTranslations(ctx: JobContext, translations: Record<string, string>) {
+  if (!ctx.songIndices) return;
+  const values = toSongIndices(ctx, translations);
+  if (Object.keys(values).length > 0) await storePartial(ctx, 'translations', values);
+  if ((await redis.hset(ctx.metaKey, 'partialTranslations', '1')) === 0) return;
+  const updatedAt = Date.now();
+  await redis.hset(ctx.metaKey, 'updatedAt', updatedAt.toString());
+  await redis.zadd(jobsPendingKey(ctx.userId), updatedAt, ctx.jobId);
+  await publish(ctx.userId, { jobId: ctx.jobId, status: 'running', updatedAt, partialTranslations: true });
+}
 
+// Adds finished lines (song index -> line) to the job's partial result and notifies clients.
+async function writePartialLines(ctx: JobContext, lyricsData: Record<string, string>) {
+  if (Object.keys(lyricsData).length === 0) return;
+  const added = await storePartial(ctx, 'lyricsData', lyricsData);
+  const partialLines = await redis.hincrby(ctx.metaKey, 'partialLines', added);
+  const updatedAt = Date.now();
+  await redis.hset(ctx.metaKey, 'updatedAt', updatedAt.toString());
+  await redis.zadd(jobsPendingKey(ctx.userId), updatedAt, ctx.jobId);
+  await publish(ctx.userId, { jobId: ctx.jobId, status: 'running', stage: 'lyrics_data', updatedAt, partialLines });
+}
+
+/**
+ * Streaming handler for one lyricsData chunk: every line that has arrived complete and passes
+ * validation goes to the partial result right away. Undefined when partial results are off
+ * (JSON format cannot be split per line).
+ */
+async function partialLineStreamer(ctx: JobContext, chunkLines: string[], chunkIndices: number[]): Promise<((textSoFar: string) => Promise<void>) | undefined> {
+  const songIndices = ctx.songIndices;
+  if (!env.USE_COMPACT_FORMAT || !songIndices) return undefined;
+  const { validateCompactFormat } = await import('./compact-format.js');
+  const published = new Map<number, string>();
 
-      console.log(`[worker] calling gemini translations for job ${jobId} (lines=${lines.length})`);
-      const translationsRaw = await generateTranslations(inputJson);
+  return async (textSoFar) => {
+    // The last piece may still be growing
+    const complete = textSoFar.split('\n').slice(0, -1).map((l) => l.trim()).filter((l) => l && !l.startsWith('```'));
+    const fresh: Record<string, string> = {};
+    alignCompactLines(chunkLines, complete).forEach((line, k) => {
+      if (line === undefined || published.get(k) === line) return;
+      try {
+        validateCompactFormat(line, chunkIndices[k]);
+      } catch {
+        return; // may still be repaired; only the final result carries it
+      }
+      published.set(k, line);
+      for (const songIndex of songIndices(chunkIndices[k])) fresh[songIndex.toString()] = line;
+    });
+    await writePartialLines(ctx, fresh);
+  };
+}
 
-      await updateRunningStage(metaKey, userId, jobId, 'lyrics_data');
-      console.log(`[worker] calling gemini lyricsData for job ${jobId} (lines=${lines.length})`);
-      const lyricsDataRaw = await generateLyricsData(inputJson, lines.length);
+// Accounts the call's tokens against the job, user and prompt version; returns the model text.
+async function completionText(ctx: JobContext, stage: UsageStage, provider: LlmProvider, completion: LlmCompletion): Promise<string> {
+  if (completion.usage) {
+    await recordUsage(ctx, stage, provider.model, completion.usage);
+    if (budgetEnabled()) await enforceBudget();
+  }
+  return completion.text;
+}
 
-      await updateRunningStage(metaKey, userId, jobId, 'finalizing');
+// Errors another model may not hit: server errors and timeouts left after retries, unusable output.
+function shouldFallBack(err: any): boolean {
+  if (err instanceof LlmHttpError) return err.status >= 500;
+  if (err instanceof LlmOutputError) return true;
+  return err?.name === 'AbortError' || err?.name === 'TimeoutError';
+}
 
-      const translationsClean = stripCodeFences(translationsRaw);
-      const lyricsDataClean = stripCodeFences(lyricsDataRaw);
+/**
+ * Run `call` (request + parse) on the stage's primary model, moving down the fallback chain
+ * (GEMINI_MODEL / *_MODEL lists) while it fails with errors that warrant it.
+ */
+async function withModelFallback<T>(ctx: JobContext, stage: UsageStage, providers: LlmProvider[], call: (provider: LlmProvider) => Promise<T>): Promise<T> {
+  for (let i = 0; ; i++) {
+    const provider = providers[i];
+    try {
+      const value = await call(provider);
+      ctx.answeredBy[stage].add(providerLabel(provider));
+      return value;
+    } catch (err: any) {
+      if (i + 1 >= providers.length || isCancellation(ctx, err) || !shouldFallBack(err)) throw err;
+      console.warn(`[worker] ${stage} on ${providerLabel(provider)} failed for job ${ctx.jobId} (${err?.message ?? err}); falling back to ${providerLabel(providers[i + 1])}`);
+    }
+  }
+}
 
-      let translations: Record<string, string>;
-      let lyricsData: LyricsJobResult['lyricsData'];
-      
+// Translates lines[i] for each i in `indices`; keys are sent as-is, so the output needs no remapping.
+async function requestTranslations(ctx: JobContext, lines: string[], indices: number[]): Promise<Record<string, string>> {
+  const input: Record<number, string> = {};
+  for (const i of indices) input[i] = lines[i];
+  const parsed = await withModelFallback(ctx, 'translations', translationProviders, async (provider) => {
+    const completion = await provider.translate(JSON.stringify(input), { signal: ctx.signal, promptVersion: ctx.promptVersion });
+    return parseTranslations(await completionText(ctx, 'translations', provider, completion));
+  });
+
+  const translations: Record<string, string> = {};
+  for (const i of indices) {
+    const value = parsed[i.toString()];
+    if (isNonEmptyString(value)) translations[i.toString()] = value;
+  }
+  return translations;
+}
+
+/**
+ * Analyzes lines[i] for each i in `indices`, one Gemini call per chunk (long songs exceed the output limit).
+ * Chunks are merged into `output` as they finish, so a failed run keeps what it got. `progress`
+ * (ctx.stages.progress) counts the chunks for clients.
+ */
+async function requestLyricsData(
+  ctx: JobContext,
+  lines: string[],
+  indices: number[],
+  progress?: StageProgress,
+  output: LyricsDataOutput = { lyricsData: {}, invalidLines: new Map() }
+): Promise<LyricsDataOutput> {
+  const { jobId, promptVersion } = ctx;
+  await mapWithConcurrency(chunk(indices, env.LYRICS_CHUNK_SIZE), env.GEMINI_CONCURRENCY, async (chunkIndices, _k, failed) => {
+    // A failed chunk stops its siblings, so none of them outlives the call.
+    const chunkCtx: JobContext = { ...ctx, signal: AbortSignal.any([ctx.signal, failed]) };
+    const { signal } = chunkCtx;
+    const chunkLines = chunkIndices.map((i) => lines[i]);
+    const onPartialText = await partialLineStreamer(chunkCtx, chunkLines, chunkIndices);
+    const parsed = await withModelFallback(chunkCtx, 'lyricsData', analysisProviders, async (provider) => {
+      const completion = await provider.analyze(JSON.stringify(toInputDict(chunkLines)), chunkLines.length, { signal, promptVersion, onPartialText });
+      return await parseLyricsData(jobId, await completionText(chunkCtx, 'lyricsData', provider, completion), chunkLines, chunkIndices);
+    });
+    Object.assign(output.lyricsData, parsed.lyricsData);
+    for (const [i, error] of parsed.invalidLines) output.invalidLines.set(i, error);
+    if (progress) {
+      progress.completed++;
+      await reportStages(ctx);
+    }
+  });
+  return output;
+}
+
+/**
+ * Send lines that failed compact-format validation back to Gemini together with the
+ * validation error. Returns only the repaired lines that now pass validation.
+ */
+async function repairLyricsData(ctx: JobContext, lines: string[], output: AnalysisOutput, indices: number[]): Promise<Record<string, string>> {
+  const { validateCompactFormat } = await import('./compact-format.js');
+  const repaired: Record<string, string> = {};
+
+  for (const chunkIndices of chunk(indices, env.LYRICS_CHUNK_SIZE)) {
+    const input: Record<number, { line: string; output: unknown; error: string }> = {};
+    chunkIndices.forEach((i, k) => {
+      input[k] = { line: lines[i], output: output.lyricsData[i.toString()], error: (output.invalidLines.get(i) ?? '').replace(/^(Line \d+: )+/, '') };
+    });
+    const raw = await withModelFallback(ctx, 'lyricsData', analysisProviders, async (provider) => {
+      const completion = await provider.repair(JSON.stringify(input), chunkIndices.length, { signal: ctx.signal, promptVersion: ctx.promptVersion });
+      return await completionText(ctx, 'lyricsData', provider, completion);
+    });
+    const returned = stripCodeFences(raw).split('\n').map((l) => l.trim()).filter(Boolean);
+    const aligned = alignCompactLines(chunkIndices.map((i) => lines[i]), returned);
+
+    aligned.forEach((line, k) => {
+      const index = chunkIndices[k];
+      if (line === undefined) return;
       try {
-        translations = JSON.parse(translationsClean) as Record<string, string>;
-      } catch (e: any) {
-        throw new Error(`Failed to parse translations JSON: ${e?.message ?? e}. Snippet=${translationsClean.slice(0, 500)}`);
+        validateCompactFormat(line, index);
+        repaired[index.toString()] = line;
+      } catch (err: any) {
+        console.warn(`[worker] repair still invalid for job ${ctx.jobId} line ${index}: ${err?.message ?? err}`);
       }
-      
-      // Handle compact format or JSON format based on configuration
-      if (env.USE_COMPACT_FORMAT) {
-        console.log(`[worker] processing compact format for job ${jobId}`);
-        const { sanitizeCompactFormat, validateCompactFormat } = await import('./compact-format.js');
-        
-        // Sanitize and split into lines
-        const sanitized = sanitizeCompactFormat(lyricsDataClean);
-        const linesArray = sanitized.split('\n').filter(l => l.trim());
-        
-        // Validate and store each line
-        const compactLyricsData: Record<string, string> = {};
-        for (let i = 0; i < linesArray.length; i++) {
-          try {
-            validateCompactFormat(linesArray[i], i);
-            compactLyricsData[i.toString()] = linesArray[i];
-          } catch (err: any) {
-            console.warn(`[worker] validation warning for job ${jobId} line ${i}: ${err?.message ?? err}`);
-            // Store anyway, let iOS handle parsing errors gracefully
-            compactLyricsData[i.toString()] = linesArray[i];
-          }
+    });
+  }
+  return repaired;
+}
+
+/**
+ * Re-request only the lines Gemini dropped, and repair the ones it returned invalid, up to
+ * GEMINI_RECONCILE_ATTEMPTS rounds. Mutates `output`; whatever is still missing afterwards is
+ * handled by the caller. Returns how many invalid lines were repaired.
+ */
+async function reconcileMissingLines(ctx: JobContext, lines: string[], output: AnalysisOutput): Promise<number> {
+  const all = lines.map((_, i) => i);
+  let repairedCount = 0;
+  for (let attempt = 1; attempt <= env.GEMINI_RECONCILE_ATTEMPTS; attempt++) {
+    const missingTranslations = missingIndices(all, output.translations, isNonEmptyString);
+    const missingLyricsData = missingIndices(all, output.lyricsData);
+    const invalidLyricsData = Array.from(output.invalidLines.keys());
+    if (missingTranslations.length === 0 && missingLyricsData.length === 0 && invalidLyricsData.length === 0) break;
+
+    console.log(`[worker] reconciling job ${ctx.jobId} (attempt=${attempt}/${env.GEMINI_RECONCILE_ATTEMPTS} translations=[${missingTranslations.join(',')}] lyricsData=[${missingLyricsData.join(',')}] invalid=[${invalidLyricsData.join(',')}])`);
+    try {
+      if (missingTranslations.length > 0) {
+        const recovered = await requestTranslations(ctx, lines, missingTranslations);
+        Object.assign(output.translations, recovered);
+        await writePartialTranslations(ctx, recovered);
+      }
+      if (missingLyricsData.length > 0) {
+        const retried = await requestLyricsData(ctx, lines, missingLyricsData);
+        Object.assign(output.lyricsData, retried.lyricsData);
+        for (const [i, error] of retried.invalidLines) output.invalidLines.set(i, error);
+      }
+      if (invalidLyricsData.length > 0) {
+        // Bad lines are only replaced once the repair passes validation.
+        const repaired = await repairLyricsData(ctx, lines, output, invalidLyricsData);
+        for (const [key, line] of Object.entries(repaired)) {
+          output.lyricsData[key] = line;
+          output.invalidLines.delete(Number(key));
+          repairedCount++;
         }
-        
-        lyricsData = compactLyricsData;
+      }
+    } catch (err: any) {
+      if (isCancellation(ctx, err)) throw err;
+      // We already have a usable result; a failed round only spends budget.
+      console.warn(`[worker] reconcile attempt ${attempt} failed for job ${ctx.jobId}: ${err?.message ?? err}`);
+    }
+  }
+  return repairedCount;
+}
+
+/**
+ * Run one stage of the job next to the others. A failed stage is retried on its own, up to
+ * STAGE_ATTEMPTS times, while the other stage keeps going; `run` resumes from what earlier
+ * attempts produced. Each attempt gets its own signal, aborted when it fails, and `run` must only
+ * settle once all of its calls have (requestLyricsData waits for its chunks), so a retry never
+ * overlaps the attempt before it.
+ */
+async function runStage(ctx: JobContext, stage: LyricsJobStage, run: (attemptCtx: JobContext, attempt: number) => Promise<void>): Promise<void> {
+  ctx.stages.running.add(stage);
+  await reportStages(ctx);
+  for (let attempt = 1; ; attempt++) {
+    const failed = new AbortController();
+    try {
+      await run({ ...ctx, signal: AbortSignal.any([ctx.signal, failed.signal]) }, attempt);
+      break;
+    } catch (err: any) {
+      failed.abort();
+      if (attempt >= env.STAGE_ATTEMPTS || isCancellation(ctx, err)) {
+        ctx.stages.running.delete(stage);
+        throw err;
+      }
+      console.warn(`[worker] ${stage} stage failed for job ${ctx.jobId} (attempt=${attempt}/${env.STAGE_ATTEMPTS}): ${err?.message ?? err}; retrying it`);
+    }
+  }
+  ctx.stages.running.delete(stage);
+  await reportStages(ctx);
+}
+
+async function requestAnalysis(ctx: JobContext, lines: string[]): Promise<AnalysisOutput> {
+  const { jobId, userId, metaKey } = ctx;
+  const all = lines.map((_, i) => i);
+
+  // The stages do not depend on each other. When one gives up, the other is stopped and the job fails.
+  const giveUp = new AbortController();
+  const stageCtx: JobContext = { ...ctx, signal: AbortSignal.any([ctx.signal, giveUp.signal]) };
+  const translations: Record<string, string> = {};
+  const analyzed: LyricsDataOutput = { lyricsData: {}, invalidLines: new Map() };
+  const progress: StageProgress = { completed: 0, total: Math.ceil(lines.length / env.LYRICS_CHUNK_SIZE) };
+  ctx.stages.progress = progress;
+
+  const stages = [
+    runStage(stageCtx, 'translating', async (attemptCtx) => {
+      console.log(`[worker] calling ${translationProvider.name} translations for job ${jobId} (lines=${lines.length})`);
+      Object.assign(translations, await requestTranslations(attemptCtx, lines, all));
+      await writePartialTranslations(attemptCtx, translations);
+    }),
+    runStage(stageCtx, 'lyrics_data', async (attemptCtx, attempt) => {
+      // A retry only sends the lines earlier attempts did not get back
+      const remaining = all.filter((i) => analyzed.lyricsData[i.toString()] === undefined && !analyzed.invalidLines.has(i));
+      if (attempt > 1) progress.total = progress.completed + Math.ceil(remaining.length / env.LYRICS_CHUNK_SIZE);
+      console.log(`[worker] calling ${analysisProvider.name} lyricsData for job ${jobId} (lines=${remaining.length} chunks=${progress.total - progress.completed} format=${env.USE_COMPACT_FORMAT ? 'compact' : 'json'})`);
+      await requestLyricsData(attemptCtx, lines, remaining, progress, analyzed);
+    })
+  ];
+  try {
+    await Promise.all(stages);
+  } catch (err) {
+    giveUp.abort();
+    await Promise.allSettled(stages);
+    throw err;
+  }
+
+  const output: AnalysisOutput = { translations, ...analyzed };
+  const repairedLines = await reconcileMissingLines(ctx, lines, output);
+  if (repairedLines > 0) {
+    console.log(`[worker] repaired ${repairedLines} invalid lines for job ${jobId}`);
+    await redis.hincrby(metaKey, 'repairedLines', repairedLines);
+  }
+
+  await updateRunningStage(metaKey, userId, jobId, 'finalizing');
+  return output;
+}
+
+// `songIndices[u]` lists the song lines that unique line u stands for.
+async function analyzeUniqueLines(ctx: JobContext, lines: string[], songIndices: number[][]): Promise<LyricsJobResult> {
+  const { jobId, userId, metaKey } = ctx;
+  const scope = lineCacheScope(ctx.promptId, providerSignature());
+  const cachedLines = await getCachedLines(lines, scope);
+
+  // Only lines nobody has analyzed before go to Gemini; `missing[k]` is the index in `lines` of prompt line k.
+  const missing: number[] = [];
+  cachedLines.forEach((cached, i) => {
+    if (!cached) missing.push(i);
+  });
+  console.log(`[worker] line cache for job ${jobId}: ${lines.length - missing.length}/${lines.length} lines cached`);
+
+  let fresh: AnalysisOutput = { translations: {}, lyricsData: {}, invalidLines: new Map() };
+  if (missing.length > 0) {
+    // Cached lines are final already; readers can have them before the model runs.
+    const cachedPartial: Record<string, string> = {};
+    const cachedTranslations: Record<string, string> = {};
+    cachedLines.forEach((cached, i) => {
+      if (!cached) return;
+      for (const songIndex of songIndices[i]) {
+        cachedTranslations[songIndex.toString()] = cached.translation;
+        if (typeof cached.lyricsData === 'string') cachedPartial[songIndex.toString()] = cached.lyricsData;
+      }
+    });
+    // Translations wait for the stage to finish, so clients never see half of them.
+    if (Object.keys(cachedTranslations).length > 0) await storePartial(ctx, 'translations', cachedTranslations);
+    await writePartialLines(ctx, cachedPartial);
+    fresh = await requestAnalysis({ ...ctx, songIndices: (k) => songIndices[missing[k]] }, missing.map((i) => lines[i]));
+  } else {
+    await updateRunningStage(metaKey, userId, jobId, 'finalizing');
+  }
+
+  const translations: Record<string, string> = {};
+  const lyricsData: LyricsJobResult['lyricsData'] = {};
+  cachedLines.forEach((cached, i) => {
+    if (!cached) return;
+    translations[i.toString()] = cached.translation;
+    lyricsData[i.toString()] = cached.lyricsData;
+  });
+
+  const toCache: { line: string; value: CachedLine }[] = [];
+  missing.forEach((songIndex, k) => {
+    const translation = fresh.translations[k.toString()];
+    const data = fresh.lyricsData[k.toString()];
+    if (translation !== undefined) translations[songIndex.toString()] = translation;
+    if (data !== undefined) lyricsData[songIndex.toString()] = data;
+    if (typeof translation === 'string' && translation.length > 0 && data !== undefined && !fresh.invalidLines.has(k)) {
+      toCache.push({ line: lines[songIndex], value: { translation, lyricsData: data } });
+    }
+  });
+  await putCachedLines(toCache, scope);
+
+  return { translations, lyricsData };
+}
+
+async function diagnoseResult(result: LyricsJobResult, lineCount: number): Promise<CompactFormatDiagnostic[]> {
+  const { diagnoseCompactFormat } = await import('./compact-format.js');
+  const warnings: CompactFormatDiagnostic[] = [];
+  for (let i = 0; i < lineCount; i++) {
+    const data = result.lyricsData[i.toString()];
+    if (typeof data === 'string') warnings.push(...diagnoseCompactFormat(data, i));
+    else if (data === undefined) warnings.push({ lineIndex: i, code: 'missing_line', message: 'No lyrics data was returned for this line' });
+    if (!isNonEmptyString(result.translations[i.toString()])) {
+      warnings.push({ lineIndex: i, code: 'missing_translation', message: 'No translation was returned for this line' });
+    }
+  }
+  return warnings;
+}
+
+// Models that produced the result; lines served from the line cache count as the primary's.
+function answeredModels(ctx: JobContext): NonNullable<LyricsJobResult['models']> {
+  const primary = stageModels();
+  return {
+    translations: [...ctx.answeredBy.translations].join(',') || primary.translations,
+    lyricsData: [...ctx.answeredBy.lyricsData].join(',') || primary.lyricsData
+  };
+}
+
+async function analyzeLyrics(ctx: JobContext, lines: string[]): Promise<LyricsJobResult> {
+  // Repeats share one prompt line, so every occurrence gets the same reading and translation.
+  const { unique, sourceIndex } = dedupeLines(lines);
+  if (unique.length < lines.length) {
+    console.log(`[worker] collapsed ${lines.length - unique.length} repeated lines for job ${ctx.jobId}`);
+  }
+  const songIndices: number[][] = unique.map(() => []);
+  sourceIndex.forEach((u, songIndex) => songIndices[u].push(songIndex));
+  const analyzed = await analyzeUniqueLines(ctx, unique, songIndices);
+  const result: LyricsJobResult = {
+    translations: expandByIndex(analyzed.translations, sourceIndex),
+    lyricsData: expandByIndex(analyzed.lyricsData, sourceIndex),
+    promptVersion: ctx.promptVersion,
+    models: answeredModels(ctx)
+  };
+
+  // Whatever reconciliation could not recover: fail, or deliver with the gaps spelled out.
+  const all = lines.map((_, i) => i);
+  const missingTranslations = missingIndices(all, result.translations, isNonEmptyString);
+  const missingLyricsData = missingIndices(all, result.lyricsData);
+  if (missingTranslations.length > 0 || missingLyricsData.length > 0) {
+    const summary = `translations=[${missingTranslations.join(',')}] lyricsData=[${missingLyricsData.join(',')}]`;
+    if (env.INCOMPLETE_RESULT_POLICY === 'fail') {
+      throw new Error(`Gemini output is missing lines after ${env.GEMINI_RECONCILE_ATTEMPTS} reconcile attempts: ${summary}`);
+    }
+    console.warn(`[worker] job ${ctx.jobId} succeeded with missing lines: ${summary}`);
+    result.missingLines = { translations: missingTranslations, lyricsData: missingLyricsData };
+  }
+
+  if (env.USE_COMPACT_FORMAT) {
+    result.diagnostics = { warnings: await diagnoseResult(result, lines.length) };
+  }
+  return result;
+}
+
+export const worker = new Worker<JobData>(
+  'lyrics-jobs',
+  async (job, token) => {
+    const { jobId, userId, lyrics } = job.data;
+    const metaKey = jobMetaKey(jobId);
+
+    // Picked up just before the queue was paused: park it, still queued, until the next window.
+    const budget = await enforceBudget();
+    if (budget.exhausted) {
+      console.log(`[worker] budget exhausted; delaying job ${jobId} until ${new Date(budget.resetsAt).toISOString()}`);
+      await job.moveToDelayed(budget.resetsAt, token);
+      throw new DelayedError();
+    }
+
+    const abort = new AbortController();
+    const stopWatching = watchCancellation(jobId, abort);
+
+    try {
+      const prompts = promptSet(selectPromptVersion(userId));
+      console.log(`[worker] picked up job ${jobId} (user=${userId} prompts=${prompts.version})`);
+
+      const lines = linesFromLyrics(lyrics);
+      // A re-run (retry, stalled job) starts a fresh partial result
+      await redis.del(jobPartialKey(jobId));
+      await redis.hdel(metaKey, 'partialLines', 'partialTranslations');
+      await redis.hset(metaKey, 'lineCount', lines.length.toString());
+      const cacheHash = resultCacheHash(lines, prompts.id, providerSignature());
+      const cached = await getCachedResult(cacheHash);
+
+      let result: LyricsJobResult;
+      if (cached) {
+        console.log(`[worker] result cache hit for job ${jobId} (hash=${cacheHash.slice(0, 12)})`);
+        await updateRunningStage(metaKey, userId, jobId, 'finalizing');
+        result = cached;
       } else {
-        // Parse as JSON (backward compatibility)
-        console.log(`[worker] processing JSON format for job ${jobId}`);
-        const normalized = normalizeIsHigh(lyricsDataClean);
-        try {
-          lyricsData = JSON.parse(normalized) as LyricsJobResult['lyricsData'];
-        } catch (e: any) {
-          throw new Error(`Failed to parse lyricsData JSON: ${e?.message ?? e}. Snippet=${normalized.slice(0, 500)}`);
-        }
+        await updateRunningStage(metaKey, userId, jobId, 'translating');
+        const ctx: JobContext = { jobId, userId, metaKey, promptVersion: prompts.version, promptId: prompts.id, signal: abort.signal, answeredBy: { translations: new Set(), lyricsData: new Set() }, stages: { running: new Set() } };
+        result = await analyzeLyrics(ctx, lines);
+        if (!result.missingLines) await putCachedResult(cacheHash, result);
       }
 
-      const result: LyricsJobResult = { translations, lyricsData };
+      await throwIfCancelled(jobId);
 
       await redis.set(jobResultKey(jobId), JSON.stringify(result), 'EX', RESULT_TTL_SECONDS);
       const succeededUpdatedAt = Date.now();
@@ -140,7 +729,8 @@ export const worker = new Worker<JobData>(
         status: 'succeeded',
         updatedAt: succeededUpdatedAt.toString()
       });
-      await redis.hdel(metaKey, 'stage');
+      await redis.hdel(metaKey, 'stage', 'stages', 'progressCompleted', 'progressTotal', 'partialLines', 'partialTranslations');
+      await redis.del(jobPartialKey(jobId));
       await redis.expire(metaKey, META_TTL_SECONDS);
       await redis.zrem(jobsPendingKey(userId), jobId);
       const recentKey = jobsRecentKey(userId);
@@ -153,6 +743,12 @@ export const worker = new Worker<JobData>(
       await publish(userId, { jobId, status: 'succeeded', updatedAt: succeededUpdatedAt });
       console.log(`[worker] completed job ${jobId}`);
     } catch (err: any) {
+      if (err instanceof JobCancelledError || abort.signal.aborted) {
+        console.log(`[worker] cancelled job ${jobId}`);
+        await markCancelled(metaKey, userId, jobId);
+        return;
+      }
+
       const message = err?.message || 'Unknown error';
       console.error(`[worker] failed job ${jobId}: ${message}`);
 
@@ -173,6 +769,8 @@ export const worker = new Worker<JobData>(
       }
       await publish(userId, { jobId, status: 'failed', updatedAt: failedUpdatedAt, error: message });
       throw err;
+    } finally {
+      stopWatching();
     }
   },
   {
@@ -185,6 +783,7 @@ worker.on('failed', async (job, err) => {
   const jobId = (job.data as any).jobId as string;
   const userId = (job.data as any).userId as string;
   const metaKey = jobMetaKey(jobId);
+  if ((await redis.hget(metaKey, 'status')) === 'cancelled') return;
   const message = err?.message || 'Unknown error';
   await redis.hset(metaKey, {
     status: 'failed',